@@ -0,0 +1,123 @@
+/** Receivables aging for BizTime.
+ *
+ *  An invoice is aged by the days its balance is past due, counted from its
+ *  due_date to the as-of date:
+ *
+ *      current     not yet past due
+ *      1-30, 31-60, 61-90
+ *      90+         more than 90 days past due
+ *
+ *  Balances are as of a date: payments recorded (and invoices marked paid) after
+ *  that date are not counted. Amounts are also converted to a reporting currency
+ *  at the rates in effect on that date (see money.js).
+ */
+
+// the buckets in order. An invoice goes in the first bucket whose maxDays it is within.
+const AGING_BUCKETS = [
+    { name: "current", maxDays: 0 },
+    { name: "1-30", maxDays: 30 },
+    { name: "31-60", maxDays: 60 },
+    { name: "61-90", maxDays: 90 },
+    { name: "90+", maxDays: Infinity }
+];
+
+
+function agingBucket(days) {
+    // returns the name of the bucket for an invoice days past due.
+    return AGING_BUCKETS.find(bucket => days <= bucket.maxDays).name;
+}
+
+
+function emptyAging() {
+    // returns {current: 0, "1-30": 0, ...} to total outstanding balances into.
+    return Object.fromEntries(AGING_BUCKETS.map(bucket => [bucket.name, 0]));
+}
+
+
+function paidTotalSql(asOf) {
+    /*  paidTotalSql returns the LATERAL subquery "AS paid (paid_total)" of the
+         amount paid on invoice i. Every balance -- aging, statements, reports and
+         the balance of an invoice (see getInvoiceBalance in routes/invoices.js) --
+         counts it this way.
+
+        asOf, string, the SQL date payments are counted by, ie. "a.as_of", or
+            null for every payment.
+
+        paid_total counts the payments, excluding voided payments, up to the amt of
+         the invoice. An invoice marked paid that never had a payment recorded (it
+         was added as paid, ie. by an import) counts as paid in full as of its
+         paid_date.
+    */
+
+    const payDate = (asOf === null) ? "" : ` AND p.pay_date <= ${asOf}`;
+    const paidDate = (asOf === null) ? "" : ` AND (i.paid_date IS NULL OR i.paid_date <= ${asOf})`;
+
+    return `LATERAL (
+                SELECT LEAST(i.amt, GREATEST(
+                    COALESCE(SUM(p.amt) FILTER (WHERE p.voided = false${payDate}), 0),
+                    CASE WHEN i.paid AND COUNT(p.id) = 0${paidDate} THEN i.amt ELSE 0 END
+                )) AS paid_total
+                FROM payments AS p
+                WHERE p.inv_id = i.id
+            ) AS paid`;
+
+}
+
+
+function invoiceBalancesSql(asOfParam, currencyParam) {
+    /*  invoiceBalancesSql returns the FROM item for the balance of every invoice
+         that is not deleted and was added by the as-of date:
+
+            (SELECT ...) AS b  with  id, comp_code, currency, amt, paid, add_date,
+                                     due_date, paid_date, paid_total, outstanding,
+                                     days_outstanding, days_overdue, amt_converted,
+                                     paid_converted, outstanding_converted
+
+        asOfParam, string, the placeholder of the as-of date, ie. "$2". A null
+            as-of date means today.
+        currencyParam, string, the placeholder of the reporting currency. The
+            *_converted columns are in it, or null when there is no exchange rate.
+
+        paid_total counts the payments made by the as-of date (see paidTotalSql).
+    */
+
+    return `(
+        SELECT i.id, i.comp_code, i.currency, i.amt, i.paid, i.add_date, i.due_date, i.paid_date,
+            paid.paid_total,
+            i.amt - paid.paid_total AS outstanding,
+            a.as_of - i.add_date AS days_outstanding,
+            GREATEST(a.as_of - i.due_date, 0) AS days_overdue,
+            convert_amount(i.amt, i.currency, ${currencyParam}, a.as_of) AS amt_converted,
+            convert_amount(paid.paid_total, i.currency, ${currencyParam}, a.as_of) AS paid_converted,
+            convert_amount(i.amt, i.currency, ${currencyParam}, a.as_of)
+                - convert_amount(paid.paid_total, i.currency, ${currencyParam}, a.as_of)
+                AS outstanding_converted
+        FROM invoices AS i
+            CROSS JOIN (SELECT COALESCE(${asOfParam}::date, CURRENT_DATE) AS as_of) AS a
+            CROSS JOIN ${paidTotalSql("a.as_of")}
+        WHERE i.deleted_at IS NULL
+            AND i.add_date <= a.as_of
+    ) AS b`;
+
+}
+
+
+function agingBucketSql(daysColumn) {
+    // returns a CASE expression naming the bucket for the days in daysColumn.
+
+    const cases = AGING_BUCKETS
+        .filter(bucket => bucket.maxDays !== Infinity)
+        .map(bucket => `WHEN ${daysColumn} <= ${bucket.maxDays} THEN '${bucket.name}'`);
+    return `CASE ${cases.join(" ")} ELSE '${AGING_BUCKETS[AGING_BUCKETS.length - 1].name}' END`;
+
+}
+
+
+module.exports = {
+    AGING_BUCKETS: AGING_BUCKETS
+    , agingBucket: agingBucket
+    , emptyAging: emptyAging
+    , paidTotalSql: paidTotalSql
+    , invoiceBalancesSql: invoiceBalancesSql
+    , agingBucketSql: agingBucketSql
+}
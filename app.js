@@ -5,15 +5,51 @@ const PORT = 5000;
 const express = require("express");
 
 const ExpressError = require("./expressError")
+const { toProblem } = require("./problem");
+const { authenticate, authorizeByMethod } = require("./auth");
+const { requestContext } = require("./requestContext");
 
 const app = express();
-app.use(express.json());
+// PATCH bodies are JSON Merge Patch documents (RFC 7396), sent as either type.
+app.use(express.json({ type: ["application/json", "application/merge-patch+json"] }));
+
+// every request needs an api key -- GET routes a read key, writes an admin key.
+app.use(authenticate);
+// the api key is the actor in the audit log for changes the request makes.
+app.use(requestContext);
 
 const companyRoutes = require("./routes/companies");
-app.use("/companies", companyRoutes);
+app.use("/companies", authorizeByMethod, companyRoutes);
 
 const invoiceRoutes = require("./routes/invoices");
-app.use("/invoices", invoiceRoutes);
+app.use("/invoices", authorizeByMethod, invoiceRoutes);
+
+const recurringInvoiceRoutes = require("./routes/recurringInvoices");
+app.use("/recurring-invoices", authorizeByMethod, recurringInvoiceRoutes);
+
+const industryRoutes = require("./routes/industries");
+app.use("/industries", authorizeByMethod, industryRoutes);
+
+const apiKeyRoutes = require("./routes/apiKeys");
+app.use("/api-keys", apiKeyRoutes);
+
+const webhookRoutes = require("./routes/webhooks");
+app.use("/webhooks", webhookRoutes);
+
+const auditRoutes = require("./routes/audit");
+app.use("/audit", authorizeByMethod, auditRoutes);
+
+const exchangeRateRoutes = require("./routes/exchangeRates");
+app.use("/exchange-rates", authorizeByMethod, exchangeRateRoutes);
+
+const reportRoutes = require("./routes/reports");
+app.use("/reports", authorizeByMethod, reportRoutes);
+
+const jobRoutes = require("./routes/jobs");
+app.use("/jobs", authorizeByMethod, jobRoutes);
+
+const searchRoutes = require("./routes/search");
+app.use("/search", authorizeByMethod, searchRoutes);
 
 
 /** 404 handler */
@@ -23,15 +59,23 @@ app.use(function (req, res, next) {
   return next(err);
 });
 
-/** general error handler */
+/** general error handler
+ *
+ *  Responds with an application/problem+json body -- see problem.js. Postgres
+ *  errors are mapped to 409 / 422 / 400 by their code. Stack traces are only
+ *  logged, and only for unexpected (500) errors.
+ */
 
 app.use((err, req, res, next) => {
-  res.status(err.status || 500);
+  const problem = toProblem(err, req);
+
+  if (problem.status >= 500) {
+    console.error(err.stack || err);
+  }
 
-  return res.json({
-    error: err,
-    message: err.message
-  });
+  res.status(problem.status);
+  res.type("application/problem+json");
+  return res.json(problem);
 });
 
 
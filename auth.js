@@ -0,0 +1,157 @@
+/** API key authentication for BizTime.
+ *
+ *  Every request sends its key in the X-API-Key header. Keys have a role:
+ *      read    GET routes
+ *      admin   every route, including POST / PUT / DELETE and key management
+ *
+ *  Only a SHA-256 hash of a key is stored; the key itself is shown once, when
+ *  it is issued.
+ */
+
+const crypto = require("crypto");
+const ExpressError = require("./expressError");
+const { dbInsert, dbSelect, dbSelectAll, dbUpdate } = require("./dbFunctions");
+
+const API_KEY_HEADER = "X-API-Key";
+
+// a role can do everything the roles ranked below it can do.
+const ROLE_RANK = {
+    read: 1,
+    admin: 2
+};
+
+const ROLES = Object.keys(ROLE_RANK);
+
+// fields of an api key that are safe to return.
+const API_KEY_FIELDS = "id, name, role, created_at, revoked_at";
+
+
+function hashKey(key) {
+    return crypto.createHash("sha256").update(key).digest("hex");
+}
+
+
+async function issueKey(name, role) {
+    /*  issueKey creates a new api key.
+
+        Returns the dbInsert results. On success sqlReturn is
+            {id, name, role, created_at, revoked_at, key}
+        key is the only time the key itself is available.
+    */
+
+    const key = `bt_${crypto.randomBytes(24).toString("hex")}`;
+    const insertData = {
+        argumentsName: ["name", "role", "key_hash"],
+        argumentsValues: [name, role, hashKey(key)]
+    }
+
+    const resultsInsert = await dbInsert(insertData, "api_keys", API_KEY_FIELDS);
+    if (resultsInsert.success) {
+        resultsInsert.sqlReturn.key = key;
+    }
+    return resultsInsert;
+
+}
+
+
+async function revokeKey(id) {
+    /*  revokeKey marks an api key revoked. A revoked key stays in the table so
+         who had access, and when, is kept. Revoking a key again keeps the time it
+         was first revoked.
+
+        Returns the results with sqlReturn {id, name, role, created_at, revoked_at}.
+         error.message is "not found" when there is no key with the id.
+    */
+
+    const resultsKey = await dbSelect({ criteria: { id: id }, selectFields: API_KEY_FIELDS }, "api_keys");
+    if (resultsKey.success === false || resultsKey.sqlReturn.revoked_at !== null) {
+        return resultsKey;
+    }
+
+    const criteria = {
+        pk: "id",
+        value: id
+    }
+    const updateData = {
+        argumentsName: ["revoked_at"],
+        argumentsValues: [new Date()]
+    }
+    const resultsUpdate = await dbUpdate(criteria, updateData, "api_keys");
+    if (resultsUpdate.success) {
+        resultsUpdate.sqlReturn = { ...resultsKey.sqlReturn, ...resultsUpdate.sqlReturn };
+    }
+    return resultsUpdate;
+
+}
+
+
+async function listKeys() {
+    // returns the dbSelectAll results for every api key, revoked keys included.
+    return dbSelectAll(API_KEY_FIELDS, "api_keys");
+}
+
+
+async function authenticate(req, res, next) {
+    /*  authenticate middleware looks up the key in the X-API-Key header. The key
+         {id, name, role} is set on req.apiKey for the routes.
+
+        401 is passed on when the key is missing, unknown or revoked.
+    */
+
+    const key = req.get(API_KEY_HEADER);
+    if (!key) {
+        return next(new ExpressError(`An api key is required in the ${API_KEY_HEADER} header.`, 401));
+    }
+
+    const selectData = {
+        criteria: { key_hash: hashKey(key), revoked_at: null },
+        selectFields: "id, name, role"
+    }
+    const resultsKey = await dbSelect(selectData, "api_keys");
+
+    if (resultsKey.success) {
+        req.apiKey = resultsKey.sqlReturn;
+        return next();
+    } else if (resultsKey.error.message === "not found") {
+        return next(new ExpressError("The api key is not valid or has been revoked.", 401));
+    } else {
+        return next(resultsKey.error.message);
+    }
+
+}
+
+
+function requireRole(role) {
+    /*  requireRole returns middleware that lets the request through when the key
+         from authenticate has role or a higher role. 403 is passed on otherwise.
+    */
+
+    return function (req, res, next) {
+        const keyRank = ROLE_RANK[(req.apiKey || {}).role] || 0;
+        if (keyRank >= ROLE_RANK[role]) {
+            return next();
+        }
+        return next(new ExpressError(`This request needs an api key with the '${role}' role.`, 403));
+    }
+
+}
+
+
+function authorizeByMethod(req, res, next) {
+    // reads (GET / HEAD) need a read key; anything that writes needs an admin key.
+
+    const role = ["GET", "HEAD"].includes(req.method) ? "read" : "admin";
+    return requireRole(role)(req, res, next);
+
+}
+
+
+module.exports = {
+    ROLES: ROLES
+    , issueKey: issueKey
+    , revokeKey: revokeKey
+    , listKeys: listKeys
+    , authenticate: authenticate
+    , requireRole: requireRole
+    , authorizeByMethod: authorizeByMethod
+}
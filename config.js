@@ -0,0 +1,96 @@
+/** Configuration for BizTime, read from the environment.
+ *
+ *  BIZTIME_DEFAULT_CURRENCY is the ISO 4217 code of the currency of an invoice
+ *  added without one and of totals when no reporting currency is asked for.
+ *  It defaults to USD.
+ *
+ *  The header block of printed invoices (GET /invoices/[id]/pdf) is our own
+ *  business details:
+ *      BIZTIME_BUSINESS_NAME       name, printed in bold
+ *      BIZTIME_BUSINESS_ADDRESS    address, lines separated by '|',
+ *                                   ie. "1 Main St|Springfield, IL 62701"
+ *      BIZTIME_BUSINESS_PHONE      phone number
+ *      BIZTIME_BUSINESS_EMAIL      email address
+ *      BIZTIME_BUSINESS_TAX_ID     tax / VAT registration number
+ *  Details that are not set are left out.
+ *
+ *  Background jobs (see jobs.js) run when the server starts and then every
+ *  BIZTIME_JOB_INTERVAL_MINUTES, default 60. 0 turns them off.
+ *
+ *  The late-fee policy the late-fees job applies (see lateFees.js):
+ *      BIZTIME_LATE_FEE_FLAT           fixed fee in BIZTIME_DEFAULT_CURRENCY,
+ *                                       converted to the invoice currency
+ *      BIZTIME_LATE_FEE_PERCENT        percent of the outstanding balance
+ *      BIZTIME_LATE_FEE_GRACE_DAYS     days past due_date before a fee is
+ *                                       charged, default 0
+ *      BIZTIME_LATE_FEE_METHOD         'invoice' (default) bills the fee on a new
+ *                                       invoice linked to the overdue one;
+ *                                       'adjustment' adds it to the overdue
+ *                                       invoice's amt
+ *  No fees are charged while the flat fee and the percent are both 0, the
+ *  default.
+ *
+ *  Webhooks (see webhooks.js) are sent by a loop that checks the delivery queue
+ *  every BIZTIME_WEBHOOK_POLL_SECONDS, default 5 (0 turns it off). A delivery is
+ *  given up after BIZTIME_WEBHOOK_MAX_ATTEMPTS, default 8.
+ */
+
+function envText(name) {
+    // returns the trimmed value of the environment variable or "" when it is not set.
+    return `${process.env[name] || ""}`.trim();
+}
+
+
+function envNumber(name, defaultValue, max) {
+    // returns the environment variable as a number from 0 to max, or defaultValue when it is not set.
+
+    const text = envText(name);
+    if (text === "") {
+        return defaultValue;
+    }
+    const value = Number(text);
+    if (!Number.isFinite(value) || value < 0 || value > max) {
+        throw new Error(`${name} '${text}' is not a number from 0 to ${max}.`);
+    }
+    return value;
+
+}
+
+
+const DEFAULT_CURRENCY = (envText("BIZTIME_DEFAULT_CURRENCY") || "USD").toUpperCase();
+if (!/^[A-Z]{3}$/.test(DEFAULT_CURRENCY)) {
+    throw new Error(`BIZTIME_DEFAULT_CURRENCY '${DEFAULT_CURRENCY}' is not a 3 letter currency code.`);
+}
+
+const BUSINESS = {
+    name: envText("BIZTIME_BUSINESS_NAME") || "BizTime",
+    address: envText("BIZTIME_BUSINESS_ADDRESS").split("|").map(line => line.trim()).filter(line => line !== ""),
+    phone: envText("BIZTIME_BUSINESS_PHONE"),
+    email: envText("BIZTIME_BUSINESS_EMAIL"),
+    taxId: envText("BIZTIME_BUSINESS_TAX_ID")
+};
+
+const JOB_INTERVAL_MINUTES = envNumber("BIZTIME_JOB_INTERVAL_MINUTES", 60, 7 * 24 * 60);
+
+const WEBHOOK_POLL_SECONDS = envNumber("BIZTIME_WEBHOOK_POLL_SECONDS", 5, 3600);
+const WEBHOOK_MAX_ATTEMPTS = Math.max(1, Math.floor(envNumber("BIZTIME_WEBHOOK_MAX_ATTEMPTS", 8, 20)));
+
+const LATE_FEE_POLICY = {
+    flat: Math.round(envNumber("BIZTIME_LATE_FEE_FLAT", 0, 9999999999) * 100) / 100,
+    percent: envNumber("BIZTIME_LATE_FEE_PERCENT", 0, 100),
+    graceDays: Math.floor(envNumber("BIZTIME_LATE_FEE_GRACE_DAYS", 0, 365)),
+    method: (envText("BIZTIME_LATE_FEE_METHOD") || "invoice").toLowerCase()
+};
+if (!["invoice", "adjustment"].includes(LATE_FEE_POLICY.method)) {
+    throw new Error(`BIZTIME_LATE_FEE_METHOD '${LATE_FEE_POLICY.method}' is not 'invoice' or 'adjustment'.`);
+}
+
+
+module.exports = {
+    DEFAULT_CURRENCY: DEFAULT_CURRENCY
+    , BUSINESS: BUSINESS
+    , JOB_INTERVAL_MINUTES: JOB_INTERVAL_MINUTES
+    , LATE_FEE_POLICY: LATE_FEE_POLICY
+    , WEBHOOK_POLL_SECONDS: WEBHOOK_POLL_SECONDS
+    , WEBHOOK_MAX_ATTEMPTS: WEBHOOK_MAX_ATTEMPTS
+}
@@ -0,0 +1,312 @@
+/** CSV export and import for BizTime.
+ *
+ *  CSV follows RFC 4180: the first line names the columns, fields with a comma,
+ *  quote or line break are quoted and a quote inside a field is doubled. Text
+ *  that a spreadsheet would run as a formula (=, +, - or @ first) is written
+ *  with a ' in front.
+ *
+ *  An import is all-or-nothing. Every row is validated against the same rules
+ *  as the JSON routes (see validation.js) and errors name the line of the file
+ *  they are on, the header being line 1.
+ */
+
+const ExpressError = require("./expressError");
+const { dbInsert, dbTransaction } = require("./dbFunctions");
+const { formatDate } = require("./invoiceStatus");
+const { dbError } = require("./problem");
+const { checkSection } = require("./validation");
+
+const CSV_TYPE = "text/csv";
+
+// text a spreadsheet would read as a formula, and text that is only a number.
+const FORMULA_START = /^[=+\-@\t\r]/;
+const NUMBER = /^-?\d+(\.\d+)?$/;
+
+
+function wantsCsv(req) {
+    // true when the Accept header of the request prefers CSV over JSON.
+    return req.accepts(["application/json", CSV_TYPE]) === CSV_TYPE;
+}
+
+
+function formatField(value, isDate) {
+    // returns the CSV text for one field, quoted when it has to be.
+
+    if (value === null || value === undefined) {
+        return "";
+    }
+    let text;
+    if (value instanceof Date) {
+        text = isDate ? formatDate(value) : value.toISOString();
+    } else {
+        text = `${value}`;
+    }
+    // a spreadsheet runs text starting with =, +, - or @ as a formula; a quote in
+    //  front keeps it text. Numbers, ie. a negative amount, are left alone.
+    if (typeof value === "string" && FORMULA_START.test(text) && !NUMBER.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+
+}
+
+
+function toCsv(fields, rows, dateFields = []) {
+    /*  toCsv returns rows as CSV text with a header line of fields.
+
+        fields, array, the columns in the order they are written.
+        rows, array, objects with the fields as keys.
+        dateFields, array, optional, the fields that are date columns -- written as
+            YYYY-MM-DD rather than a timestamp.
+    */
+
+    const lines = [fields.map(field => formatField(field)).join(",")];
+    for (const row of rows) {
+        lines.push(fields.map(field => formatField(row[field], dateFields.includes(field))).join(","));
+    }
+    return `${lines.join("\r\n")}\r\n`;
+
+}
+
+
+function sendCsv(res, filename, csvText) {
+    // sends csvText as a CSV download named filename.
+
+    res.type(CSV_TYPE);
+    res.attachment(filename);
+    return res.send(csvText);
+
+}
+
+
+function parseCsv(text) {
+    /*  parseCsv splits CSV text into records.
+
+        Returns:
+            {
+                success: true,
+                records: [{ line: line the record starts on, fields: [text, ...] }, ...],
+                error: ""
+            }
+        OR for errors:
+            {
+                success: false,
+                error: "what is wrong and on which line"
+            }
+    */
+
+    const records = [];
+    let fields = [];
+    let field = "";
+    let line = 1;
+    let recordLine = 1;
+    let quoted = false;
+    let idx = 0;
+
+    // a byte order mark from a spreadsheet export is not part of the first column.
+    const csv = `${text || ""}`.replace(/^\uFEFF/, "");
+
+    while (idx < csv.length) {
+        const char = csv[idx];
+
+        if (quoted) {
+            if (char === '"' && csv[idx + 1] === '"') {
+                field += '"';
+                idx += 2;
+                continue;
+            }
+            if (char === '"') {
+                quoted = false;
+            } else {
+                if (char === "\n") {
+                    line += 1;
+                }
+                field += char;
+            }
+            idx += 1;
+            continue;
+        }
+
+        if (char === '"' && field === "") {
+            quoted = true;
+        } else if (char === ",") {
+            fields.push(field);
+            field = "";
+        } else if (char === "\n" || char === "\r") {
+            fields.push(field);
+            records.push({ line: recordLine, fields: fields });
+            fields = [];
+            field = "";
+            if (char === "\r" && csv[idx + 1] === "\n") {
+                idx += 1;
+            }
+            line += 1;
+            recordLine = line;
+        } else {
+            field += char;
+        }
+        idx += 1;
+    }
+
+    if (quoted) {
+        return { success: false, error: `Line ${recordLine} has a quoted field that is not closed.` };
+    }
+    if (field !== "" || fields.length > 0) {
+        fields.push(field);
+        records.push({ line: recordLine, fields: fields });
+    }
+
+    // blank lines, ie. the end of the file, are not records.
+    return {
+        success: true,
+        records: records.filter(record => !(record.fields.length === 1 && record.fields[0].trim() === "")),
+        error: ""
+    };
+
+}
+
+
+function rowErrors(errors) {
+    /*  rowErrors returns the 400 ExpressError for the invalid rows of an import.
+
+        errors, array, [{line, field, message}, ...]
+    */
+
+    const errorImport = new ExpressError(
+        `Invalid CSV: ${errors.map(error => `line ${error.line}: ${error.field} ${error.message}`).join("; ")}.`,
+        400);
+    errorImport.errors = errors.map(error => ({ ...error, location: "body" }));
+    return errorImport;
+
+}
+
+
+function readCsvRows(text, fields) {
+    /*  readCsvRows parses an import file and validates every row against fields,
+         the body rules of the matching JSON route (see checkField in validation.js).
+        The header names the columns; their order does not matter. An empty cell is
+         a value that was not given.
+
+        Returns:
+            { success: true, rows: [{ line, values: {field: converted value} }, ...] }
+        OR
+            { success: false, error: ExpressError (400) with errors: [{line, field, location, message}] }
+    */
+
+    const parsed = parseCsv(text);
+    if (parsed.success === false) {
+        return { success: false, error: new ExpressError(parsed.error, 400) };
+    }
+    if (parsed.records.length < 2) {
+        return { success: false, error: new ExpressError("The CSV needs a header line and at least one row.", 400) };
+    }
+
+    const [header, ...records] = parsed.records;
+    const columns = header.fields.map(column => column.trim());
+    const errors = [];
+
+    columns.filter(column => fields[column] === undefined)
+        .forEach(column => errors.push({ line: header.line, field: column, message: "is not a column that can be imported" }));
+    Object.keys(fields).filter(field => fields[field].required && !columns.includes(field))
+        .forEach(field => errors.push({ line: header.line, field: field, message: "column is required" }));
+    if (errors.length > 0) {
+        return { success: false, error: rowErrors(errors) };
+    }
+
+    const rows = [];
+    for (const record of records) {
+        if (record.fields.length !== columns.length) {
+            errors.push({
+                line: record.line, field: "row",
+                message: `has ${record.fields.length} fields, the header has ${columns.length}`
+            });
+            continue;
+        }
+
+        const data = {};
+        columns.forEach((column, idx) => {
+            if (record.fields[idx] !== "") {
+                data[column] = record.fields[idx];
+            }
+        });
+
+        const checked = checkSection(data, fields, "body");
+        checked.errors.forEach(error => errors.push({ line: record.line, field: error.field, message: error.message }));
+        rows.push({ line: record.line, values: checked.values });
+    }
+
+    if (errors.length > 0) {
+        return { success: false, error: rowErrors(errors) };
+    }
+    return { success: true, rows: rows };
+
+}
+
+
+async function importRows(rows, table, returnFields, insertRow) {
+    /*  importRows inserts every row from readCsvRows in one transaction -- all of
+         them or, when one fails, none.
+        insertRow, async function, optional, (client, values) adds a row the way
+         its route does and returns it, or throws; by default the values are
+         inserted into table as they are.
+
+        Returns:
+            { success: true, sqlReturn: [inserted rows with returnFields] }
+        OR
+            { success: false, error: the error to pass on to next(); it names the line
+                that failed in errors: [{line, field, location, message}] }
+    */
+
+    const results = await dbTransaction(async function (client) {
+        const inserted = [];
+        for (const row of rows) {
+            if (insertRow !== undefined) {
+                try {
+                    inserted.push(await insertRow(client, row.values));
+                } catch (err) {
+                    throw { line: row.line, error: err };
+                }
+                continue;
+            }
+            const insertData = {
+                argumentsName: Object.keys(row.values),
+                argumentsValues: Object.values(row.values)
+            }
+            const resultsInsert = await dbInsert(insertData, table, returnFields, client);
+            if (resultsInsert.success === false) {
+                throw { line: row.line, error: resultsInsert.error.message };
+            }
+            inserted.push(resultsInsert.sqlReturn);
+        }
+        return inserted;
+    });
+
+    if (results.success) {
+        return results;
+    }
+
+    const failed = results.error.message;
+    if (failed === null || typeof failed !== "object" || failed.line === undefined) {
+        return { success: false, error: dbError(failed) };
+    }
+    const errorImport = dbError(failed.error);
+    if (errorImport.status < 500) {
+        errorImport.errors = [{
+            line: failed.line, field: errorImport.field, location: "body", message: errorImport.message
+        }];
+        errorImport.message = `Line ${failed.line}: ${errorImport.message} Nothing was imported.`;
+    }
+    return { success: false, error: errorImport };
+
+}
+
+
+module.exports = {
+    wantsCsv: wantsCsv
+    , toCsv: toCsv
+    , sendCsv: sendCsv
+    , parseCsv: parseCsv
+    , rowErrors: rowErrors
+    , readCsvRows: readCsvRows
+    , importRows: importRows
+}
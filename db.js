@@ -1,21 +1,25 @@
 /** Database setup for BizTime. */
 
-const { Client } = require("pg");
+const { Pool } = require("pg");
 
 const DB_URI = (process.env.NODE_ENV === "test")
     ? "postgresql:///biztime_test"
     : "postgresql:///biztime";
 
-//   if (process.env.NODE_ENV === "test") {
-//     DB_URI = "postgresql:///biztime_test";
-//   } else {
-//     DB_URI = "postgresql:///biztime_test";
-//   }
+// money columns are numeric(12, 2) so they are exact in the database. pg reads
+//  numeric as a string to keep every digit, and it is left that way -- see
+//  toCents in money.js for the arithmetic on amounts.
 
-let db = new Client({
+// A pool lets concurrent requests run their queries on separate connections.
+//  db.query() checks out a connection for a single statement; work that must
+//  commit or roll back together goes through dbTransaction in dbFunctions.js.
+let db = new Pool({
     connectionString: DB_URI
 });
 
-db.connect();
+// an idle connection that drops (ie. the server restarts) should not crash the app.
+db.on("error", function (err) {
+    console.error(`${(new Date()).toISOString()}: idle database connection error: ${err.message}`);
+});
 
-module.exports = db;
\ No newline at end of file
+module.exports = db;
@@ -1,12 +1,139 @@
-/** Database insert, update, select, and delete functions for BizTime. */
+/** Database insert, update, select, and delete functions for BizTime.
+ *
+ *  Every insert, update and delete made through these functions is also written
+ *  to audit_log with the row before and after the change (see writeAudit), and
+ *  raises its webhook events (see webhookEvents.js).
+ */
 
 const db = require("./db");
 const ExpressError = require("./expressError");
+const sql = require("./sqlBuilder");
+const { currentActor } = require("./requestContext");
+const { queueEvents } = require("./webhookEvents");
+
+// tables whose changes are not written to the audit log. job_runs and
+//  webhook_deliveries are themselves logs, of the background jobs and webhooks.
+const NOT_AUDITED = ["audit_log", "job_runs", "webhook_deliveries"];
+
+// columns left out of the before / after data in the audit log. A webhook url
+//  can carry a token of the receiver, and GET /audit needs only a read key.
+const NOT_AUDITED_FIELDS = ["key_hash", "secret", "url"];
+
+
+function zipFields(argumentsData) {
+    /*  zipFields pairs the argumentsName fields with the argumentsValues values 
+        of insert / update data into the { field: value } object sqlBuilder takes.
+        argumentsName is an array or a comma separated string.
+    */
+
+    const names = Array.isArray(argumentsData.argumentsName)
+        ? argumentsData.argumentsName
+        : `${argumentsData.argumentsName}`.split(",");
+
+    const fields = {};
+    names.forEach((name, idx) => {
+        fields[name.trim()] = argumentsData.argumentsValues[idx];
+    });
+    return fields;
+
+}
+
+
+function pickFields(row, table, fields) {
+    // returns only the fields (see fieldNames in sqlBuilder.js) of a full row.
+
+    const picked = {};
+    for (const field of sql.fieldNames(table, fields)) {
+        picked[field] = row[field];
+    }
+    return picked;
+
+}
+
+
+function auditData(row) {
+    // returns the row as it is kept in the audit log, or null when there is no row.
+
+    if (!row) {
+        return null;
+    }
+    const data = { ...row };
+    NOT_AUDITED_FIELDS.forEach(field => delete data[field]);
+    return JSON.stringify(data);
+
+}
+
+
+async function writeAudit(client, table, action, beforeRows, afterRows, keyChanges = {}) {
+    /*  writeAudit adds an audit_log row for each row a write changed. The before
+        and after versions of a row are paired by primary key. The actor is the
+        api key of the request (see requestContext.js).
+
+        client, the client the write ran on, so the audit rows commit or roll
+            back with the write.
+        action, string, 'insert', 'update' or 'delete'.
+        beforeRows, array, full rows before the write ([] for an insert).
+        afterRows, array, full rows after the write ([] for a delete).
+        keyChanges, object, optional, the primary key columns an update set, ie.
+            {code: "new-code"}; a row before is paired with the key it has after.
+    */
+
+    if (NOT_AUDITED.includes(table)) {
+        return;
+    }
+
+    const pkFields = sql.primaryKey(table);
+    const recordPk = row => pkFields.map(field => row[field]).join(",");
+
+    const records = new Map();
+    for (const row of beforeRows) {
+        records.set(recordPk({ ...row, ...keyChanges }), { before: row });
+    }
+    for (const row of afterRows) {
+        records.set(recordPk(row), { ...records.get(recordPk(row)), after: row });
+    }
+
+    for (const [pk, versions] of records) {
+        const query = sql.insert("audit_log", {
+            table_name: table,
+            record_pk: pk,
+            action: action,
+            before_data: auditData(versions.before),
+            after_data: auditData(versions.after),
+            actor: currentActor()
+        }, "id");
+        await client.query(query.text, query.values);
+    }
+
+}
+
+
+async function auditedWrite(client, work) {
+    /*  auditedWrite runs a write and its audit rows together. On the pool they run
+        in a transaction of their own; on a transaction client they are part of
+        the caller's transaction. Errors are thrown.
+
+        work, async function, receives the client to write on and returns the
+            result of the write.
+    */
+
+    if (client !== db) {
+        return work(client);
+    }
+
+    const results = await dbTransaction(work);
+    if (results.success === false) {
+        throw results.error.message;
+    }
+    return results.sqlReturn;
+
+}
 
 
 async function dbSelectAll(selectFields, table) {
     /*  dbSelectAll returns all rows from the specified table.
-        Only columns specified in selectFields are returned.
+        Only columns specified in selectFields are returned. selectFields is a
+        comma separated string or an array of column names.
 
         Returns:
             {
@@ -29,10 +156,8 @@ async function dbSelectAll(selectFields, table) {
 
         let result;
         try {
-            result = await db.query(`
-                SELECT ${selectFields} 
-                FROM ${table}  
-            `);
+            const query = sql.select(table, selectFields, {});
+            result = await db.query(query.text, query.values);
 
             resolve(
                 {
@@ -60,19 +185,20 @@ async function dbSelectAll(selectFields, table) {
 }
 
 
-async function dbSelect(selectData, table) {
+async function dbSelect(selectData, table, client = db) {
     /*  dbSelect returns rows from the specified table.
         that satisfy the selection criteria. Select is table agnostic.
 
         Only columns specified in selectFields are returned.
 
         selectData is an object that contains
-        - criteria, string, the data for the WHERE clause, ie. 'pk = $1'
-        - criteriaValues, array, the value(s) for each parameter on the WHERE
-            clause.
+        - criteria, object, the columns and values for the WHERE clause, ie. 
+            { code: "apple" }. See where in sqlBuilder.js.
         - selectFields, string, the fields to include in the select.
 
         table, string, the table for the SELECT
+        client, optional, the transaction client from dbTransaction. The SELECT
+            runs on the pool when a client is not passed.
 
         Returns:
             {
@@ -96,11 +222,8 @@ async function dbSelect(selectData, table) {
 
         let result;
         try {
-            result = await db.query(`
-                SELECT ${selectData.selectFields} 
-                FROM ${table} 
-                WHERE ${selectData.criteria} 
-            `, selectData.criteriaValues);
+            const query = sql.select(table, selectData.selectFields, selectData.criteria);
+            result = await client.query(query.text, query.values);
 
             if (result.rows.length > 0) {
                 if (result.rows.length === 1) {
@@ -151,18 +274,95 @@ async function dbSelect(selectData, table) {
 }
 
 
-async function dbInsert(insertData, table, returnFields = "*") {
+async function dbSelectPage(selectData, table) {
+    /*  dbSelectPage returns one page of rows from the specified table along with
+        the total number of rows that satisfy the selection criteria. dbSelectPage
+        is table agnostic.
+
+        selectData is an object that contains
+        - criteria, object, the columns and values for the WHERE clause, ie. 
+            { paid: false }. An empty object selects every row.
+        - selectFields, string, the fields to include in the select.
+        - orderBy, string, the data for the ORDER BY clause, ie. 'amt DESC'.
+        - limit, number, the most rows to return.
+        - offset, number, the number of rows to skip.
+
+        table, string, the table for the SELECT
+
+        Returns:
+            {
+                success: true,
+                sqlReturn: [rows on the page],
+                total: number of rows that satisfy the criteria,
+                error: { message: "" }
+            }
+        OR for errors:
+            {
+                success: false,
+                sqlReturn: "",
+                total: 0,
+                error: { 
+                    message: error that occurred 
+                }
+            }
+    */
+
+    // return a new Promise
+    return new Promise(async function (resolve, reject) {
+
+        try {
+            const queryCount = sql.count(table, selectData.criteria);
+            const resultCount = await db.query(queryCount.text, queryCount.values);
+
+            const query = sql.select(table, selectData.selectFields, selectData.criteria, {
+                orderBy: selectData.orderBy,
+                limit: selectData.limit,
+                offset: selectData.offset
+            });
+            const result = await db.query(query.text, query.values);
+
+            resolve(
+                {
+                    success: true,
+                    sqlReturn: result.rows,
+                    total: Number(resultCount.rows[0].total),
+                    error: { message: "" }
+                }
+            )
+
+        } catch (err) {
+            resolve(
+                {
+                    success: false,
+                    sqlReturn: "",
+                    total: 0,
+                    error: {
+                        message: err
+                    }
+                }
+            );
+
+        }
+
+    });
+
+}
+
+
+async function dbInsert(insertData, table, returnFields = "*", client = db) {
     /*  dbInsert performs the db insert operation. It is table agnostic.
 
-        insertData, object, needs to contain 3 objects / strings
-        - argumentsNbr, string, the parameter numbers, '$1, $2, $3, ... $n' that is 
-            build along with the values and returning argument arrays.
+        insertData, object, needs to contain 2 arrays / strings
+        - argumentsName, string or array, the columns to insert into, ie. 
+            'code, name'.
         - argumentsValues, array, the values to insert into the table. The values
-            are in the same order as the argument numbers -- if $1 is the name, 
+            are in the same order as the column names -- if name is first, 
             then the first element in the arguments array must be the name value. 
-        - argumentsName, string, the fields that are named on the RETURNING clause
-            of the INSERT.
+        Any argumentsNbr is ignored; the parameter numbers are built by sqlBuilder.
         table, string, the table to insert into.
+        returnFields, string, the fields on the RETURNING clause. Defaults to all.
+        client, optional, the transaction client from dbTransaction. The INSERT
+            runs on the pool when a client is not passed.
          
         Function returns: 
         {
@@ -180,16 +380,19 @@ async function dbInsert(insertData, table, returnFields = "*") {
 
         let result;
         try {
-            result = await db.query(`
-                INSERT INTO ${table} (${insertData.argumentsName})  
-                VALUES (${insertData.argumentsNbr}) 
-                RETURNING ${returnFields} 
-            `, insertData.argumentsValues);
+            result = await auditedWrite(client, async function (writeClient) {
+                // the full row is returned for the audit log.
+                const query = sql.insert(table, zipFields(insertData), "*");
+                const written = await writeClient.query(query.text, query.values);
+                await writeAudit(writeClient, table, "insert", [], written.rows);
+                await queueEvents(writeClient, table, "insert", [], written.rows);
+                return written;
+            });
 
             resolve(
                 {
                     success: true,
-                    sqlReturn: result.rows[0],
+                    sqlReturn: pickFields(result.rows[0], table, returnFields),
                     error: {
                         message: ""
                     }
@@ -225,7 +428,7 @@ async function dbInsert(insertData, table, returnFields = "*") {
 }
 
 
-async function dbUpdate(whereCriteria, updateData, table) {
+async function dbUpdate(whereCriteria, updateData, table, client = db) {
     /*  dbUpdate performs an update on an existing entry in the database. 
         The update is table agnostic.
         whereCriteria, object, contains the database field name for the primary key and 
@@ -234,15 +437,19 @@ async function dbUpdate(whereCriteria, updateData, table) {
                 pk: "code",
                 value: req.params.code
             }
+         An optional criteria object adds conditions the row must also meet, ie. 
+         criteria: { deleted_at: null } (see where in sqlBuilder.js). A row that
+         does not meet them is "not found".
 
-        updateData, object, contains 3 arrays
-        - argumentsNbr, array, the parameter numbers, '$1, $2, $3, ... $n' that is 
-            build along with the values and field names arrays.
+        updateData, object, contains 2 arrays
         - argumentsValues, array, the values for the update. The values are in the same 
-            order as the argument numbers and field names. 
+            order as the field names. 
         - argumentsName, array, the fields that are named in the SET clauses and also the
             on the RETURNING clause of the UPDATE. 
+        Any argumentsNbr is ignored; the parameter numbers are built by sqlBuilder.
         table, string, the table with data to update.
+        client, optional, the transaction client from dbTransaction. The UPDATE
+            runs on the pool when a client is not passed.
          
         Function returns: 
         {
@@ -255,41 +462,35 @@ async function dbUpdate(whereCriteria, updateData, table) {
 
     */
 
-    let setClause = "";
-    let returningClause = `${whereCriteria.pk}, `;
-    let delim = "";
-    let idx = 0;
-    for (field of updateData.argumentsName) {
-        setClause = `${setClause}${delim}${field} = ${updateData.argumentsNbr[idx]}`;
-        returningClause = `${returningClause}${delim}${field}`;
-        delim = ", ";
-        idx++;
-    }
-    // where clause is 'pk' = $x  
-    // updateData.argumentsNbr has all the $ parameters for the set clause. The length
-    //  of the array + 1 is the parameter value for the where.
-    let whereClause = `${whereCriteria.pk} = $${(updateData.argumentsNbr.length) + 1}`;
-    // argumentsValues align with parameterized $s. Need to include the where value too!
-    updateData.argumentsValues.push(whereCriteria.value);
-    // debugger;
-
     // return a new Promise    
     return new Promise(async function (resolve, reject) {
 
         let result;
         try {
-            result = await db.query(`
-                UPDATE ${table} 
-                SET ${setClause} 
-                WHERE ${whereClause}
-                RETURNING ${returningClause} 
-            `, updateData.argumentsValues);
+            const fields = zipFields(updateData);
+            const criteria = { ...whereCriteria.criteria, [whereCriteria.pk]: whereCriteria.value };
+            // an update of the primary key (a company code) pairs each row with the key it gets.
+            const keyChanges = Object.fromEntries(Object.entries(fields)
+                .filter(([field]) => sql.primaryKey(table).includes(field)));
+
+            result = await auditedWrite(client, async function (writeClient) {
+                // the row before the update is locked and kept for the audit log.
+                const queryBefore = sql.select(table, "*", criteria, { forUpdate: true });
+                const before = await writeClient.query(queryBefore.text, queryBefore.values);
+
+                const query = sql.update(table, fields, criteria, "*");
+                const written = await writeClient.query(query.text, query.values);
+                await writeAudit(writeClient, table, "update", before.rows, written.rows, keyChanges);
+                await queueEvents(writeClient, table, "update", before.rows, written.rows, keyChanges);
+                return written;
+            });
 
             if (result.rows.length > 0) {
                 resolve(
                     {
                         success: true,
-                        sqlReturn: result.rows[0],
+                        sqlReturn: pickFields(result.rows[0], table,
+                            [whereCriteria.pk, ...Object.keys(fields)]),
                         error: { message: "" }
                     })
             } else {
@@ -321,17 +522,18 @@ async function dbUpdate(whereCriteria, updateData, table) {
 }
 
 
-async function dbDelete(deleteData, table) {
+async function dbDelete(deleteData, table, client = db) {
     /*  dbDelete deletes row(s) from a table. dbDelete is table agnostic.
 
         deleteData, object, needs to contain 2 objects / strings
-        - criteria, string, this is criteria for the where clause. As an example, 
-            for companies, 'code=$1' and for invoices 'id=$1'.
-        - criteriaValues, array, the values that replace the $1 ... $n in the 
-            parameterized where clause. A value must exist for each $n.
+        - criteria, object, the columns and values for the where clause. As an 
+            example, for companies, { code: "apple" } and for invoices { id: 1 }.
+            See where in sqlBuilder.js.
         - argumentsName, string, the fields that are named on the RETURNING clause
             of the DELETE.
         table, string, the table to delete from.
+        client, optional, the transaction client from dbTransaction. The DELETE
+            runs on the pool when a client is not passed.
          
         Function returns: 
         {
@@ -349,18 +551,21 @@ async function dbDelete(deleteData, table) {
 
         let result;
         try {
-            result = await db.query(`
-                DELETE FROM ${table}  
-                WHERE ${deleteData.criteria} 
-                RETURNING ${deleteData.argumentsName}
-            `, deleteData.criteriaValues);
+            result = await auditedWrite(client, async function (writeClient) {
+                // the full deleted rows are returned for the audit log.
+                const query = sql.remove(table, deleteData.criteria, "*");
+                const written = await writeClient.query(query.text, query.values);
+                await writeAudit(writeClient, table, "delete", written.rows, []);
+                await queueEvents(writeClient, table, "delete", written.rows, []);
+                return written;
+            });
 
             if (result.rows.length > 0) {
                 resolve(
                     {
                         success: true,
                         message: { status: "deleted" },
-                        deleted: result.rows,
+                        deleted: result.rows.map(row => pickFields(row, table, deleteData.argumentsName)),
                         error: { message: "" }
                     })
             } else {
@@ -393,10 +598,96 @@ async function dbDelete(deleteData, table) {
 }
 
 
+async function dbTransaction(work) {
+    /*  dbTransaction runs several statements as one unit of work on a single
+        connection checked out of the pool.
+
+        work, async function, receives the transaction client and does the work
+            by passing the client to dbSelect / dbInsert / dbUpdate / dbDelete or
+            by calling client.query directly. Whatever work returns is the
+            sqlReturn of the transaction.
+            Throw from work to roll back -- the db functions report failures in
+            their results rather than throwing, so check success and throw when
+            a failed step should undo the earlier ones.
+
+        Example:
+            const results = await dbTransaction(async function (client) {
+                const resultsInsert = await dbInsert(insertData, "invoices", "*", client);
+                if (resultsInsert.success === false) {
+                    throw resultsInsert.error.message;
+                }
+                ...
+                return resultsInsert.sqlReturn;
+            });
+
+        Returns:
+            {
+                success: true,              // committed
+                sqlReturn: value returned by work,
+                error: { message: "" }
+            }
+        OR for errors:
+            {
+                success: false,             // rolled back
+                sqlReturn: "",
+                error: { 
+                    message: what work threw 
+                }
+            }
+    */
+
+    let client;
+    try {
+        client = await db.connect();
+    } catch (err) {
+        return {
+            success: false,
+            sqlReturn: "",
+            error: {
+                message: err
+            }
+        };
+    }
+
+    // set when the ROLLBACK fails; the client is then broken and is not put back in the pool.
+    let rollbackErr;
+    try {
+        await client.query("BEGIN");
+        const workReturn = await work(client);
+        await client.query("COMMIT");
+
+        return {
+            success: true,
+            sqlReturn: workReturn,
+            error: { message: "" }
+        };
+
+    } catch (err) {
+        // a failed ROLLBACK (ie. the connection dropped) still ends the transaction,
+        //  but leaves the connection unusable -- release(rollbackErr) closes it.
+        await client.query("ROLLBACK").catch(errRollback => { rollbackErr = errRollback; });
+
+        return {
+            success: false,
+            sqlReturn: "",
+            error: {
+                message: err
+            }
+        };
+
+    } finally {
+        client.release(rollbackErr);
+    }
+
+}
+
+
 module.exports = {
     dbSelectAll: dbSelectAll
     , dbSelect: dbSelect
+    , dbSelectPage: dbSelectPage
     , dbInsert: dbInsert
     , dbDelete: dbDelete
     , dbUpdate: dbUpdate
+    , dbTransaction: dbTransaction
 }
\ No newline at end of file
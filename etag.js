@@ -0,0 +1,93 @@
+/** Entity tags (ETags) of companies and invoices for BizTime.
+ *
+ *  Every change to a company or invoice row moves its version on (see the 014
+ *  migration). GET /companies/[code] and GET /invoices/[id] return
+ *      ETag: "<version>-<hash of the body>"
+ *  The hash covers what the row alone does not -- invoices listed with a
+ *  company, a status that turned overdue -- so an If-None-Match with the tag is
+ *  answered 304 (by Express) only when the body would be the same.
+ *
+ *  If-Match on PUT, PATCH and DELETE is compared by version: the change is made
+ *  when the row was not changed since the client read it, and 412 is returned
+ *  when it was. The version is part of the WHERE of the write, so two writes
+ *  with the same tag cannot both pass.
+ */
+
+const crypto = require("crypto");
+const { dbSelect } = require("./dbFunctions");
+const ExpressError = require("./expressError");
+const { dbError } = require("./problem");
+const sql = require("./sqlBuilder");
+
+// the tables with a version, by the name used in errors.
+const VERSIONED_TABLES = {
+    companies: "Company",
+    invoices: "Invoice"
+};
+
+
+function entityTag(version, body) {
+    // returns the ETag of the response body of a row at version.
+    const hash = crypto.createHash("sha1").update(JSON.stringify(body)).digest("base64url");
+    return `"${version}-${hash.slice(0, 16)}"`;
+}
+
+
+function sendTagged(res, version, body) {
+    // sends body as JSON with its ETag; a GET with a matching If-None-Match gets 304.
+    res.set("ETag", entityTag(version, body));
+    return res.json(body);
+}
+
+
+function matchCriteria(req) {
+    /*  matchCriteria returns the criteria (see where in sqlBuilder.js) the If-Match
+         header of the request puts on the row written -- {} when there is no
+         If-Match or it is *, otherwise {version: [versions in the header]}.
+        Weak tags (W/"...") never match, and neither does a header of only tags
+         we did not make; the write then fails the precondition.
+    */
+
+    const header = req.get("If-Match");
+    if (header === undefined || header.trim() === "*") {
+        return {};
+    }
+
+    const versions = header.split(",")
+        .map(tag => /^\s*"(\d+)(?:-[^"]*)?"\s*$/.exec(tag))
+        .filter(found => found !== null)
+        .map(found => Number(found[1]));
+    return { version: versions };
+}
+
+
+async function writeNotFound(req, table, criteria, errorNotFound) {
+    /*  writeNotFound returns the error for a write that found no row to change.
+         With an If-Match it may be the version that did not match -- when a row
+         meets criteria (without the version) it is 412, otherwise errorNotFound.
+    */
+
+    if (req.get("If-Match") === undefined) {
+        return errorNotFound;
+    }
+
+    const resultsRow = await dbSelect({ criteria: criteria, selectFields: "version" }, table);
+    if (resultsRow.success) {
+        const pk = sql.primaryKey(table).map(field => criteria[field]).join(",");
+        return new ExpressError(
+            `${VERSIONED_TABLES[table]} '${pk}' was changed since it was read (it is version `
+            + `${resultsRow.sqlReturn.version} now). Get it again and repeat the change.`, 412);
+    } else if (resultsRow.error.message === "not found") {
+        return errorNotFound;
+    }
+    return dbError(resultsRow.error.message);
+
+}
+
+
+module.exports = {
+    entityTag: entityTag
+    , sendTagged: sendTagged
+    , matchCriteria: matchCriteria
+    , writeNotFound: writeNotFound
+}
@@ -1,7 +1,8 @@
 /** ExpressError extends the normal JS error so we can easily
  *  add a status when we make an instance of it.
  *
- *  The error-handling middleware will return this.
+ *  The error-handling middleware turns this into a problem+json response
+ *  (see problem.js); the stack is never part of the response.
  */
 
 class ExpressError extends Error {
@@ -9,7 +10,6 @@ class ExpressError extends Error {
     super();
     this.message = message;
     this.status = status;
-    console.error(this.stack);
   }
 }
 
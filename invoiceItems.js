@@ -0,0 +1,124 @@
+/** Invoice line items for BizTime.
+ *
+ *  An item is quantity x unit_price, taxed at tax_rate percent. Its line_total
+ *  and tax_amt are each rounded to the cent (generated columns, see the 011
+ *  migration), and an invoice with items has
+ *      subtotal = sum of line_total
+ *      tax      = sum of tax_amt
+ *      amt      = subtotal + tax
+ *  amt is kept on the invoice, so payments, aging and reports read it as before.
+ *  An invoice without items has the amt it was given -- subtotal amt, tax 0.
+ */
+
+const db = require("./db");
+const { dbInsert, dbUpdate } = require("./dbFunctions");
+const { fromCents, toCents } = require("./money");
+
+const ITEM_FIELDS = "id, description, quantity, unit_price, tax_rate, line_total, tax_amt";
+
+// the columns of an item that are entered; line_total and tax_amt are derived.
+const ITEM_INPUT_FIELDS = ["description", "quantity", "unit_price", "tax_rate"];
+
+
+async function itemsTotal(items, client = db) {
+    /*  itemsTotal returns the amt of an invoice with items, [{quantity, unit_price,
+         tax_rate}, ...], before they are stored. The rounding is the same as the
+         generated columns of invoice_items.
+    */
+
+    const result = await client.query(`
+        SELECT COALESCE(SUM(round(q * p, 2) + round(round(q * p, 2) * r / 100, 2)), 0) AS total
+        FROM unnest($1::numeric[], $2::numeric[], $3::numeric[]) AS t(q, p, r)
+    `, [
+        items.map(item => (item.quantity === undefined) ? 1 : item.quantity),
+        items.map(item => item.unit_price),
+        items.map(item => item.tax_rate || 0)
+    ]);
+    return result.rows[0].total;
+
+}
+
+
+async function insertItems(invId, items, client) {
+    /*  insertItems adds items to the invoice. Errors are thrown so the transaction
+         rolls back.
+
+        Returns the items as stored, [{id, description, quantity, unit_price,
+         tax_rate, line_total, tax_amt}, ...].
+    */
+
+    const inserted = [];
+    for (const item of items) {
+        const fields = ITEM_INPUT_FIELDS.filter(field => item[field] !== undefined);
+        const resultsInsert = await dbInsert({
+            argumentsName: ["inv_id", ...fields],
+            argumentsValues: [invId, ...fields.map(field => item[field])]
+        }, "invoice_items", ITEM_FIELDS, client);
+        if (resultsInsert.success === false) {
+            throw resultsInsert.error.message;
+        }
+        inserted.push(resultsInsert.sqlReturn);
+    }
+    return inserted;
+
+}
+
+
+async function invoiceBreakdown(invoice, client = db) {
+    /*  invoiceBreakdown returns the items and totals of invoice, {id, amt}.
+
+        Returns:
+            { items: [{id, description, quantity, unit_price, tax_rate, line_total,
+                tax_amt}, ...], subtotal, tax, total }
+    */
+
+    const result = await client.query(
+        `SELECT ${ITEM_FIELDS} FROM invoice_items WHERE inv_id = $1 ORDER BY id`, [invoice.id]);
+
+    if (result.rows.length === 0) {
+        return { items: [], subtotal: invoice.amt, tax: fromCents(0), total: invoice.amt };
+    }
+
+    const subtotalCents = result.rows.reduce((sum, item) => sum + toCents(item.line_total), 0);
+    const taxCents = result.rows.reduce((sum, item) => sum + toCents(item.tax_amt), 0);
+    return {
+        items: result.rows,
+        subtotal: fromCents(subtotalCents),
+        tax: fromCents(taxCents),
+        total: fromCents(subtotalCents + taxCents)
+    };
+
+}
+
+
+async function applyItemsTotal(invId, client) {
+    /*  applyItemsTotal sets the amt of the invoice to the total of its items after
+         they changed. Errors are thrown so the transaction rolls back -- a total of
+         0 breaks the amt > 0 check of the invoice.
+
+        Returns the breakdown of the invoice (see invoiceBreakdown).
+    */
+
+    const breakdown = await invoiceBreakdown({ id: invId, amt: null }, client);
+
+    // through dbUpdate so the new amt is in the audit log.
+    const resultsUpdate = await dbUpdate({ pk: "id", value: invId }, {
+        argumentsName: ["amt"],
+        argumentsValues: [breakdown.total]
+    }, "invoices", client);
+    if (resultsUpdate.success === false) {
+        throw resultsUpdate.error.message;
+    }
+    return breakdown;
+
+}
+
+
+module.exports = {
+    ITEM_FIELDS: ITEM_FIELDS
+    , ITEM_INPUT_FIELDS: ITEM_INPUT_FIELDS
+    , itemsTotal: itemsTotal
+    , insertItems: insertItems
+    , invoiceBreakdown: invoiceBreakdown
+    , applyItemsTotal: applyItemsTotal
+}
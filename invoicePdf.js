@@ -0,0 +1,176 @@
+/** Printable invoices for BizTime.
+ *
+ *  Lays out the invoice from GET /invoices/[id] on a page: our business details
+ *  (see BUSINESS in config.js) at the top left, the invoice number and dates at
+ *  the top right, then who it is billed to, its line items (or the amount of an
+ *  invoice without items) with the subtotal, tax and total, and its status.
+ */
+
+const { formatDate } = require("./invoiceStatus");
+const { PAGE_WIDTH, PAGE_HEIGHT, buildPdf, wrapText } = require("./pdf");
+
+const MARGIN = 54;
+const RIGHT = PAGE_WIDTH - MARGIN;
+
+
+function formatAmount(amount) {
+    // formats an amount with cents and thousands separators, ie. 1,234.50.
+    return Number(amount).toLocaleString("en-US", { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+}
+
+
+function formatQuantity(quantity) {
+    // formats a quantity or rate with only the decimals it has, ie. 2 or 1.5.
+    return Number(quantity).toLocaleString("en-US", { maximumFractionDigits: 3 });
+}
+
+
+function businessLines(business) {
+    // returns the lines of the header block printed under the business name.
+    return [
+        ...business.address,
+        business.phone ? `Phone: ${business.phone}` : "",
+        business.email ? `Email: ${business.email}` : "",
+        business.taxId ? `Tax ID: ${business.taxId}` : ""
+    ].filter(line => line !== "");
+}
+
+
+function renderInvoicePdf(invoice, business) {
+    /*  renderInvoicePdf returns the PDF of invoice as a Buffer.
+
+        invoice, object, as GET /invoices/[id] returns it:
+            {id, amt, currency, paid, add_date, due_date, paid_date, status,
+                company: {code, name, description}, items, subtotal, tax, total}
+        business, object, the header block, {name, address: [line, ...], phone,
+            email, taxId} (see BUSINESS in config.js).
+    */
+
+    // the items drawn on each page, see buildPdf.
+    let items = [];
+    const pages = [items];
+    let y = PAGE_HEIGHT - MARGIN - 16;
+
+    // header block -- our business on the left, the invoice on the right.
+    items.push({ text: business.name, x: MARGIN, y: y, size: 16, bold: true });
+    items.push({ text: "INVOICE", x: RIGHT, y: y, size: 20, bold: true, align: "right" });
+
+    let yRight = y - 24;
+    const invoiceLines = [
+        `Invoice #${invoice.id}`,
+        `Date: ${formatDate(invoice.add_date)}`,
+        `Due: ${formatDate(invoice.due_date)}`
+    ];
+    if (invoice.paid && invoice.paid_date) {
+        invoiceLines.push(`Paid: ${formatDate(invoice.paid_date)}`);
+    }
+    for (const line of invoiceLines) {
+        items.push({ text: line, x: RIGHT, y: yRight, size: 10, align: "right" });
+        yRight -= 14;
+    }
+
+    y -= 18;
+    for (const line of businessLines(business)) {
+        items.push({ text: line, x: MARGIN, y: y, size: 10 });
+        y -= 13;
+    }
+
+    y = Math.min(y, yRight) - 16;
+    items.push({ line: [MARGIN, y, RIGHT, y], width: 1 });
+
+    // who the invoice is billed to.
+    y -= 24;
+    items.push({ text: "BILL TO", x: MARGIN, y: y, size: 9, bold: true });
+    y -= 16;
+    const company = invoice.company || {};
+    items.push({ text: company.name || invoice.comp_code || "", x: MARGIN, y: y, size: 12, bold: true });
+    y -= 14;
+    if (company.description) {
+        for (const line of wrapText(company.description, 10, RIGHT - MARGIN)) {
+            items.push({ text: line, x: MARGIN, y: y, size: 10 });
+            y -= 13;
+        }
+    }
+
+    // the lines -- an invoice without items is one line of its amount.
+    const itemized = Boolean(invoice.items && invoice.items.length > 0);
+    const lines = itemized
+        ? invoice.items
+        : [{ description: `Invoice ${invoice.id}`, line_total: invoice.amt }];
+    const columns = { qty: RIGHT - 250, price: RIGHT - 170, tax: RIGHT - 100 };
+
+    function columnHeadings() {
+        y -= 24;
+        items.push({ text: "Description", x: MARGIN, y: y, size: 10, bold: true });
+        if (itemized) {
+            items.push({ text: "Qty", x: columns.qty, y: y, size: 10, bold: true, align: "right" });
+            items.push({ text: "Unit price", x: columns.price, y: y, size: 10, bold: true, align: "right" });
+            items.push({ text: "Tax %", x: columns.tax, y: y, size: 10, bold: true, align: "right" });
+        }
+        items.push({ text: `Amount (${invoice.currency})`, x: RIGHT, y: y, size: 10, bold: true, align: "right" });
+        y -= 6;
+        items.push({ line: [MARGIN, y, RIGHT, y] });
+    }
+    columnHeadings();
+
+    const descriptionWidth = (itemized ? columns.qty - 60 : RIGHT - 100) - MARGIN;
+    for (const item of lines) {
+        const descriptionLines = wrapText(item.description, 10, descriptionWidth);
+        // lines that do not fit, with room left for the totals, go on a new page.
+        if (y - 16 - descriptionLines.length * 13 < MARGIN + 120) {
+            items = [];
+            pages.push(items);
+            y = PAGE_HEIGHT - MARGIN;
+            columnHeadings();
+        }
+        y -= 16;
+        if (itemized) {
+            items.push({ text: formatQuantity(item.quantity), x: columns.qty, y: y, size: 10, align: "right" });
+            items.push({ text: formatAmount(item.unit_price), x: columns.price, y: y, size: 10, align: "right" });
+            items.push({ text: formatQuantity(item.tax_rate), x: columns.tax, y: y, size: 10, align: "right" });
+        }
+        items.push({ text: formatAmount(item.line_total), x: RIGHT, y: y, size: 10, align: "right" });
+        descriptionLines.forEach((line, idx) => {
+            items.push({ text: line, x: MARGIN, y: y - idx * 13, size: 10 });
+        });
+        y -= (descriptionLines.length - 1) * 13;
+    }
+    y -= 8;
+    items.push({ line: [MARGIN, y, RIGHT, y] });
+
+    const totals = [
+        ["Subtotal", invoice.subtotal === undefined ? invoice.amt : invoice.subtotal],
+        ["Tax", invoice.tax || 0]
+    ];
+    for (const [label, amount] of totals) {
+        y -= 16;
+        items.push({ text: label, x: RIGHT - 160, y: y, size: 10 });
+        items.push({ text: formatAmount(amount), x: RIGHT, y: y, size: 10, align: "right" });
+    }
+    y -= 18;
+    items.push({ text: "Total", x: RIGHT - 160, y: y, size: 11, bold: true });
+    items.push({
+        text: `${formatAmount(invoice.amt)} ${invoice.currency}`,
+        x: RIGHT, y: y, size: 11, bold: true, align: "right"
+    });
+
+    // status -- see invoiceStatus.js.
+    const statusText = {
+        paid: "PAID - thank you",
+        overdue: `OVERDUE - was due ${formatDate(invoice.due_date)}`,
+        open: `UNPAID - due ${formatDate(invoice.due_date)}`
+    };
+    y -= 36;
+    items.push({
+        text: statusText[invoice.status] || (invoice.paid ? statusText.paid : "UNPAID"),
+        x: MARGIN, y: y, size: 14, bold: true
+    });
+
+    return buildPdf(pages, `Invoice ${invoice.id}`);
+
+}
+
+
+module.exports = {
+    renderInvoicePdf: renderInvoicePdf
+}
@@ -0,0 +1,94 @@
+/** Due dates and status of invoices for BizTime.
+ *
+ *  An invoice is due payment_terms_days (of its company) after its add_date,
+ *  unless it was given its own due_date. Its status is derived, never stored:
+ *      paid        paid is true
+ *      overdue     not paid and due_date is before today
+ *      open        not paid and not yet overdue
+ */
+
+const INVOICE_STATUSES = ["open", "overdue", "paid"];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+
+function formatDate(value) {
+    /*  formatDate formats a Date as YYYY-MM-DD in local time -- pg reads a date
+         column as local midnight. A value that is not a Date, ie. a YYYY-MM-DD
+         string, is returned as text.
+    */
+
+    if (!(value instanceof Date)) {
+        return `${value}`;
+    }
+    const pad = nbr => `${nbr}`.padStart(2, "0");
+    return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+
+}
+
+
+function today() {
+    // returns today's date as YYYY-MM-DD.
+    return formatDate(new Date());
+}
+
+
+function dueDate(addDate, termsDays) {
+    // returns the YYYY-MM-DD date termsDays after addDate (YYYY-MM-DD, default today).
+
+    const start = Date.parse(`${addDate || today()}T00:00:00Z`);
+    return new Date(start + termsDays * DAY_MS).toISOString().slice(0, 10);
+
+}
+
+
+function invoiceStatus(invoice, asOf = today()) {
+    /*  invoiceStatus returns 'open', 'overdue' or 'paid' for invoice, which needs
+         its paid and due_date, on the asOf date (YYYY-MM-DD, default today).
+    */
+
+    if (invoice.paid) {
+        return "paid";
+    }
+    return (formatDate(invoice.due_date) < asOf) ? "overdue" : "open";
+
+}
+
+
+function withStatus(invoices) {
+    // adds status to an invoice or to every invoice in an array. Returns invoices.
+
+    [].concat(invoices).forEach(invoice => { invoice.status = invoiceStatus(invoice); });
+    return invoices;
+
+}
+
+
+function statusCriteria(status) {
+    /*  statusCriteria returns the criteria (see where in sqlBuilder.js) that select
+         the invoices with status.
+    */
+
+    switch (status) {
+        case "paid":
+            return { paid: true };
+        case "overdue":
+            return { paid: false, due_date: { "<": today() } };
+        case "open":
+            return { paid: false, due_date: { ">=": today() } };
+        default:
+            throw new Error(`Unknown invoice status '${status}'.`);
+    }
+
+}
+
+
+module.exports = {
+    INVOICE_STATUSES: INVOICE_STATUSES
+    , formatDate: formatDate
+    , today: today
+    , dueDate: dueDate
+    , invoiceStatus: invoiceStatus
+    , withStatus: withStatus
+    , statusCriteria: statusCriteria
+}
@@ -0,0 +1,40 @@
+/** Issue an api key from the command line.
+ *
+ *  Usage:
+ *      node issueKey.js <name> <read | admin>
+ *
+ *  Use it to create the first admin key; after that keys can be issued and
+ *  revoked through /api-keys. The key is printed once and cannot be looked up
+ *  later. Set NODE_ENV=test to issue the key in biztime_test.
+ */
+
+const db = require("./db");
+const { ROLES, issueKey } = require("./auth");
+
+
+async function main(args) {
+
+    const [name, role] = args;
+
+    if (!name || !ROLES.includes(role)) {
+        throw new Error(`Usage: node issueKey.js <name> <${ROLES.join(" | ")}>`);
+    }
+
+    const resultsIssue = await issueKey(name, role);
+    if (resultsIssue.success === false) {
+        throw resultsIssue.error.message;
+    }
+
+    const apiKey = resultsIssue.sqlReturn;
+    console.log(`Issued ${apiKey.role} key ${apiKey.id} for '${apiKey.name}':`);
+    console.log(apiKey.key);
+
+}
+
+
+main(process.argv.slice(2))
+    .catch(err => {
+        console.error(err.message || err);
+        process.exitCode = 1;
+    })
+    .finally(() => db.end());
@@ -0,0 +1,151 @@
+/** Background jobs for BizTime.
+ *
+ *  server.js starts the jobs with startJobs: every job runs once at startup and
+ *  then every JOB_INTERVAL_MINUTES (see config.js). app.js does not, so the app
+ *  can be required without timers running.
+ *
+ *  Each run is recorded in job_runs -- 'running' while it works, then
+ *  'succeeded', 'skipped' or 'failed' with what it processed -- and can be seen
+ *  at GET /jobs. A job must be safe to run again for the same day; the changes
+ *  it makes are audited with the job as the actor.
+ */
+
+const { JOB_INTERVAL_MINUTES } = require("./config");
+const { dbInsert, dbSelect, dbUpdate } = require("./dbFunctions");
+const { today } = require("./invoiceStatus");
+const { applyLateFees } = require("./lateFees");
+const { generateRecurringInvoices } = require("./recurringInvoices");
+const { runAs } = require("./requestContext");
+
+// the jobs by name, in the order they run. run(asOf, jobRunId) resolves to a db
+//  function result whose sqlReturn is { processed, result, skipped }.
+const JOBS = {
+    "recurring-invoices": {
+        description: "Adds the invoices of recurring schedules that are due, catching up missed periods.",
+        run: generateRecurringInvoices
+    },
+    "late-fees": {
+        description: "Charges the late-fee policy on invoices past due.",
+        run: applyLateFees
+    }
+};
+
+const JOB_RUN_FIELDS = "id, job_name, as_of, status, started_at, finished_at, processed, result, error";
+
+// jobs running in this process -- a tick does not start a job still running.
+const running = new Set();
+
+
+async function runJob(jobName, asOf = today()) {
+    /*  runJob runs the job named jobName for the asOf date (YYYY-MM-DD) and records
+         the run in job_runs.
+
+        Returns:
+            { success: true, sqlReturn: the job_runs row }
+        OR
+            { success: false, error: { message: the error } }
+            when the run could not be recorded. A job that fails is a 'failed'
+            job_runs row, not an error.
+    */
+
+    const job = JOBS[jobName];
+    if (job === undefined) {
+        throw new Error(`Unknown job '${jobName}'.`);
+    }
+
+    running.add(jobName);
+    try {
+        const resultsStart = await dbInsert({
+            argumentsName: ["job_name", "as_of"],
+            argumentsValues: [jobName, asOf]
+        }, "job_runs", "id");
+        if (resultsStart.success === false) {
+            return resultsStart;
+        }
+        const jobRunId = resultsStart.sqlReturn.id;
+
+        const finish = await finishedRun(jobName, asOf, jobRunId);
+        const resultsFinish = await dbUpdate({ pk: "id", value: jobRunId }, {
+            argumentsName: ["status", "processed", "result", "error", "finished_at"],
+            argumentsValues: [finish.status, finish.processed, finish.result, finish.error, new Date()]
+        }, "job_runs");
+        if (resultsFinish.success === false) {
+            return resultsFinish;
+        }
+
+        return dbSelect({ criteria: { id: jobRunId }, selectFields: JOB_RUN_FIELDS }, "job_runs");
+
+    } finally {
+        running.delete(jobName);
+    }
+
+}
+
+
+async function finishedRun(jobName, asOf, jobRunId) {
+    // runs the job and returns the status, processed, result and error of its job_runs row.
+
+    try {
+        const resultsJob = await runAs(`job ${jobName} (run ${jobRunId})`,
+            () => JOBS[jobName].run(asOf, jobRunId));
+        if (resultsJob.success === false) {
+            return { status: "failed", processed: 0, result: null, error: `${resultsJob.error.message}` };
+        }
+        const { processed, result, skipped } = resultsJob.sqlReturn;
+        return {
+            status: skipped ? "skipped" : "succeeded",
+            processed: processed,
+            result: JSON.stringify(skipped ? { ...result, skipped: skipped } : result),
+            error: null
+        };
+    } catch (err) {
+        return { status: "failed", processed: 0, result: null, error: `${err.message || err}` };
+    }
+
+}
+
+
+async function runDueJobs() {
+    // runs every job that is not already running. Failures are logged, never thrown.
+
+    for (const jobName of Object.keys(JOBS)) {
+        if (running.has(jobName)) {
+            continue;
+        }
+        const results = await runJob(jobName);
+        if (results.success === false) {
+            console.error(`${(new Date()).toISOString()}: job ${jobName} could not run: ${results.error.message}`);
+        } else if (results.sqlReturn.status === "failed") {
+            console.error(`${(new Date()).toISOString()}: job ${jobName} failed: ${results.sqlReturn.error}`);
+        }
+    }
+
+}
+
+
+function startJobs(intervalMinutes = JOB_INTERVAL_MINUTES) {
+    /*  startJobs runs the jobs now and then every intervalMinutes. 0 does not
+         start them.
+
+        Returns a function that stops the timer.
+    */
+
+    if (intervalMinutes <= 0) {
+        return () => { };
+    }
+
+    runDueJobs();
+    const timer = setInterval(runDueJobs, intervalMinutes * 60 * 1000);
+    // the timer alone should not keep the process alive.
+    timer.unref();
+    return () => clearInterval(timer);
+
+}
+
+
+module.exports = {
+    JOBS: JOBS
+    , JOB_RUN_FIELDS: JOB_RUN_FIELDS
+    , runJob: runJob
+    , startJobs: startJobs
+}
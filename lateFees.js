@@ -0,0 +1,157 @@
+/** Late fees for BizTime.
+ *
+ *  The late-fees job (see jobs.js) charges a fee on every invoice that is still
+ *  unpaid graceDays after its due_date, following LATE_FEE_POLICY in config.js:
+ *      fee = flat (converted to the invoice currency) + percent of the balance
+ *
+ *  With the adjustment method the fee is added to the overdue invoice -- as a
+ *  "Late fee" line item when the invoice has items, so its amt stays the total
+ *  of its items (see invoiceItems.js).
+ *
+ *  Each invoice is charged once -- late_fees.inv_id is unique -- so running the
+ *  job again, on the same day or after a restart, charges nothing twice. Fee
+ *  invoices are not charged fees of their own.
+ */
+
+const { LATE_FEE_POLICY, DEFAULT_CURRENCY } = require("./config");
+const { dbInsert, dbTransaction, dbUpdate } = require("./dbFunctions");
+const { applyItemsTotal, insertItems } = require("./invoiceItems");
+const { dueDate } = require("./invoiceStatus");
+const { fromCents, toCents } = require("./money");
+
+// concurrent runs -- another server process, or POST /jobs/late-fees/run during
+//  a scheduled run -- wait on this transaction lock rather than both charging.
+const LATE_FEE_LOCK = "biztime late-fees";
+
+
+async function applyLateFees(asOf, jobRunId, policy = LATE_FEE_POLICY) {
+    /*  applyLateFees charges the late fees due on the asOf date (YYYY-MM-DD) in one
+         transaction.
+
+        jobRunId, number, the job_runs row the fees are recorded against.
+        policy, object, { flat, percent, graceDays, method }, see config.js.
+
+        Returns:
+            { success: true, sqlReturn: { processed: fees charged, result: {
+                policy, charged: [{inv_id, fee_inv_id, amt, currency}, ...],
+                missing_rates: [currency, ...] } } }
+            sqlReturn also has skipped: why, when the policy charges no fees.
+        OR
+            { success: false, error: { message: the error } }
+    */
+
+    if (policy.flat === 0 && policy.percent === 0) {
+        return {
+            success: true,
+            sqlReturn: {
+                processed: 0,
+                skipped: "No late-fee policy is set (see BIZTIME_LATE_FEE_FLAT and BIZTIME_LATE_FEE_PERCENT).",
+                result: { policy: policy, charged: [], missing_rates: [] }
+            }
+        };
+    }
+
+    return dbTransaction(async function (client) {
+        await client.query("SELECT pg_advisory_xact_lock(hashtext($1))", [LATE_FEE_LOCK]);
+
+        // the fee of every overdue invoice of an active company not charged yet.
+        //  fee is NULL when the flat fee cannot be converted to the invoice currency.
+        const result = await client.query(`
+            SELECT i.id, i.comp_code, i.amt, i.currency, c.payment_terms_days,
+                EXISTS (SELECT 1 FROM invoice_items AS it WHERE it.inv_id = i.id) AS itemized,
+                round(
+                    CASE WHEN $2::numeric = 0 THEN 0
+                        ELSE convert_amount($2::numeric, $3, i.currency, $1::date) END
+                    + (i.amt - COALESCE(p.paid_total, 0)) * $4::numeric / 100, 2) AS fee
+            FROM invoices AS i
+                JOIN companies AS c ON c.code = i.comp_code AND c.deleted_at IS NULL
+                LEFT JOIN (
+                    SELECT inv_id, SUM(amt) AS paid_total
+                    FROM payments WHERE voided = false GROUP BY inv_id
+                ) AS p ON p.inv_id = i.id
+            WHERE i.paid = false AND i.deleted_at IS NULL
+                AND i.due_date + $5::integer < $1::date
+                AND i.amt - COALESCE(p.paid_total, 0) > 0
+                AND NOT EXISTS (SELECT 1 FROM late_fees AS f WHERE f.inv_id = i.id)
+                AND NOT EXISTS (SELECT 1 FROM late_fees AS f WHERE f.fee_inv_id = i.id)
+            ORDER BY i.id
+            FOR UPDATE OF i
+        `, [asOf, policy.flat, DEFAULT_CURRENCY, policy.percent, policy.graceDays]);
+
+        const charged = [];
+        const missingRates = [];
+        for (const invoice of result.rows) {
+            if (invoice.fee === null) {
+                missingRates.push(invoice.currency);
+                continue;
+            }
+            if (toCents(invoice.fee) <= 0) {
+                continue;
+            }
+            charged.push(await chargeFee(client, invoice, asOf, jobRunId, policy.method));
+        }
+
+        return {
+            processed: charged.length,
+            result: {
+                policy: policy,
+                charged: charged,
+                missing_rates: [...new Set(missingRates)].sort()
+            }
+        };
+    });
+
+}
+
+
+async function chargeFee(client, invoice, asOf, jobRunId, method) {
+    /*  chargeFee bills the fee of an overdue invoice, {id, comp_code, amt, currency,
+         payment_terms_days, itemized, fee}, and records it in late_fees. Errors are thrown
+         so the transaction rolls back.
+
+        Returns: {inv_id, fee_inv_id, amt, currency}
+    */
+
+    let feeInvId = null;
+
+    if (method === "invoice") {
+        const resultsInsert = await dbInsert({
+            argumentsName: ["comp_code", "amt", "currency", "add_date", "due_date"],
+            argumentsValues: [
+                invoice.comp_code, invoice.fee, invoice.currency, asOf,
+                dueDate(asOf, invoice.payment_terms_days)
+            ]
+        }, "invoices", "id", client);
+        if (resultsInsert.success === false) {
+            throw resultsInsert.error.message;
+        }
+        feeInvId = resultsInsert.sqlReturn.id;
+    } else if (invoice.itemized) {
+        // the amt of an invoice with items is derived from them -- the fee is one more.
+        await insertItems(invoice.id, [{ description: "Late fee", quantity: 1, unit_price: invoice.fee }], client);
+        await applyItemsTotal(invoice.id, client);
+    } else {
+        const resultsUpdate = await dbUpdate(
+            { pk: "id", value: invoice.id },
+            { argumentsName: ["amt"], argumentsValues: [fromCents(toCents(invoice.amt) + toCents(invoice.fee))] },
+            "invoices", client);
+        if (resultsUpdate.success === false) {
+            throw resultsUpdate.error.message;
+        }
+    }
+
+    const resultsFee = await dbInsert({
+        argumentsName: ["inv_id", "fee_inv_id", "method", "amt", "currency", "applied_date", "job_run_id"],
+        argumentsValues: [invoice.id, feeInvId, method, invoice.fee, invoice.currency, asOf, jobRunId]
+    }, "late_fees", "inv_id, fee_inv_id, amt, currency", client);
+    if (resultsFee.success === false) {
+        throw resultsFee.error.message;
+    }
+    return resultsFee.sqlReturn;
+
+}
+
+
+module.exports = {
+    applyLateFees: applyLateFees
+}
@@ -0,0 +1,172 @@
+/** Pagination, filtering and sorting of list routes for BizTime. */
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+
+
+function parseInteger(value) {
+    // returns the integer in value or NaN when value is not a whole number.
+    return /^\d+$/.test(`${value}`) ? Number(value) : NaN;
+}
+
+
+function escapeLike(text) {
+    // escapes the LIKE wildcards % and _, and the escape character \, in text (see where in sqlBuilder.js).
+    return `${text}`.replace(/[\\%_]/g, "\\$&");
+}
+
+
+function parseFilterValue(value, type) {
+    /*  parseFilterValue converts the query string value for a filter into the type
+         the column expects.
+
+        Returns:
+            { valid: true, value: converted value }
+        OR
+            { valid: false, message: why the value is not valid }
+    */
+
+    switch (type) {
+        case "boolean":
+            if (value === "true" || value === "false") {
+                return { valid: true, value: value === "true" };
+            }
+            return { valid: false, message: "must be true or false" };
+
+        case "number":
+            if (value !== "" && Number.isFinite(Number(value))) {
+                return { valid: true, value: Number(value) };
+            }
+            return { valid: false, message: "must be a number" };
+
+        case "date":
+            if (/^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(Date.parse(value))) {
+                return { valid: true, value: value };
+            }
+            return { valid: false, message: "must be a date formatted YYYY-MM-DD" };
+
+        default:
+            return { valid: true, value: value };
+    }
+
+}
+
+
+function parseListQuery(query, listOptions) {
+    /*  parseListQuery validates the limit, offset, sort and filter parameters of a
+         list request and turns them into the selectData pieces dbSelectPage takes.
+
+        query, object, req.query of the list request.
+        listOptions, object, what the list allows
+        - filters, object, the query parameters that filter the list. The key is the
+            query parameter and the value is { column, op, type } where op is the
+            comparison ('=', '>=', '<=', 'ILIKE') and type is one of 'text',
+            'boolean', 'number' or 'date'. ILIKE filters match anywhere in the column;
+            a %, _ or \ in the value matches itself.
+        - sortFields, array, the columns that can be named on sort=. A leading '-'
+            sorts descending, ie. sort=-amt.
+        - defaultSort, string, the sort used when sort= is not given.
+
+        Returns:
+            {
+                success: true,
+                criteria: { amt: { ">=": 10 }, paid: false },  // {} when there are no filters
+                orderBy: "amt DESC",
+                limit: 50,
+                offset: 0,
+                error: ""
+            }
+        OR for errors:
+            {
+                success: false,
+                error: "every invalid parameter and why"
+            }
+    */
+
+    const errors = [];
+    const criteria = {};
+
+    let limit = DEFAULT_LIMIT;
+    if (query.limit !== undefined) {
+        limit = parseInteger(query.limit);
+        if (isNaN(limit) || limit < 1 || limit > MAX_LIMIT) {
+            errors.push(`limit must be a whole number from 1 to ${MAX_LIMIT}`);
+        }
+    }
+
+    let offset = 0;
+    if (query.offset !== undefined) {
+        offset = parseInteger(query.offset);
+        if (isNaN(offset)) {
+            errors.push("offset must be a whole number of 0 or more");
+        }
+    }
+
+    let orderBy = listOptions.defaultSort;
+    if (query.sort !== undefined) {
+        const descending = `${query.sort}`.startsWith("-");
+        const sortField = descending ? `${query.sort}`.slice(1) : `${query.sort}`;
+        if (listOptions.sortFields.includes(sortField)) {
+            orderBy = `${sortField} ${descending ? "DESC" : "ASC"}`;
+        } else {
+            errors.push(`sort must be one of ${listOptions.sortFields.join(", ")}`);
+        }
+    }
+
+    for (const [param, filter] of Object.entries(listOptions.filters)) {
+        if (query[param] === undefined) {
+            continue;
+        }
+        const parsed = parseFilterValue(`${query[param]}`, filter.type);
+        if (parsed.valid === false) {
+            errors.push(`${param} ${parsed.message}`);
+            continue;
+        }
+        if (filter.op === "=") {
+            criteria[filter.column] = parsed.value;
+        } else {
+            // several filters can compare the same column, ie. min_amt and max_amt.
+            criteria[filter.column] = criteria[filter.column] || {};
+            criteria[filter.column][filter.op] =
+                (filter.op === "ILIKE") ? `%${escapeLike(parsed.value)}%` : parsed.value;
+        }
+    }
+
+    if (errors.length > 0) {
+        return { success: false, error: `Invalid list parameters: ${errors.join("; ")}.` };
+    }
+
+    return {
+        success: true,
+        criteria: criteria,
+        orderBy: orderBy,
+        limit: limit,
+        offset: offset,
+        error: ""
+    };
+
+}
+
+
+function nextPageLink(req, limit, offset, total) {
+    /*  nextPageLink returns the url of the next page of a list, keeping every other
+         query parameter of the request, or null when this is the last page.
+    */
+
+    if (offset + limit >= total) {
+        return null;
+    }
+
+    const params = new URLSearchParams(req.query);
+    params.set("limit", limit);
+    params.set("offset", offset + limit);
+
+    return `${req.baseUrl}${req.path === "/" ? "" : req.path}?${params.toString()}`;
+
+}
+
+
+module.exports = {
+    parseListQuery: parseListQuery
+    , nextPageLink: nextPageLink
+}
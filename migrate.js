@@ -0,0 +1,187 @@
+/** Schema migrations and seed data CLI for BizTime.
+ *
+ *  Usage:
+ *      node migrate.js up          apply every pending migration
+ *      node migrate.js down [n]    roll back the last n applied migrations (default 1)
+ *      node migrate.js status      list migrations and whether each is applied
+ *      node migrate.js seed        replace the table rows with seeds/seed.sql
+ *
+ *  The database is the one chosen in db.js -- set NODE_ENV=test to migrate
+ *  biztime_test instead of biztime.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const db = require("./db");
+const { dbTransaction } = require("./dbFunctions");
+
+const MIGRATIONS_DIR = path.join(__dirname, "migrations");
+const SEED_FILE = path.join(__dirname, "seeds", "seed.sql");
+
+// migration files are named <version>_<name>.up.sql and <version>_<name>.down.sql
+const MIGRATION_FILE = /^(\d+)_(\w+)\.(up|down)\.sql$/;
+
+
+function readMigrations() {
+    /*  readMigrations returns the migrations in the migrations directory ordered
+         by version.
+
+        Returns:
+            [{ version: "001", name: "create_companies_invoices", up: path, down: path }, ...]
+    */
+
+    const migrations = {};
+
+    for (const file of fs.readdirSync(MIGRATIONS_DIR)) {
+        const match = MIGRATION_FILE.exec(file);
+        if (match === null) {
+            continue;
+        }
+        const [, version, name, direction] = match;
+        migrations[version] = migrations[version] || { version: version, name: name };
+        migrations[version][direction] = path.join(MIGRATIONS_DIR, file);
+    }
+
+    return Object.values(migrations).sort((a, b) => Number(a.version) - Number(b.version));
+
+}
+
+
+async function appliedVersions() {
+    // returns the versions recorded in the bookkeeping table, oldest first.
+
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+            version text PRIMARY KEY,
+            name text NOT NULL,
+            applied_at timestamp DEFAULT CURRENT_TIMESTAMP NOT NULL
+        )
+    `);
+
+    const result = await db.query(`SELECT version FROM schema_migrations ORDER BY version`);
+    return result.rows.map(row => row.version);
+
+}
+
+
+async function runInTransaction(sqlFile, bookkeepingSql, bookkeepingValues) {
+    // runs the sql file and its schema_migrations bookkeeping as one unit of work.
+
+    const results = await dbTransaction(async function (client) {
+        await client.query(fs.readFileSync(sqlFile, "utf8"));
+        if (bookkeepingSql) {
+            await client.query(bookkeepingSql, bookkeepingValues);
+        }
+    });
+
+    if (results.success === false) {
+        throw results.error.message;
+    }
+
+}
+
+
+async function migrateUp() {
+
+    const applied = await appliedVersions();
+    const pending = readMigrations().filter(m => !applied.includes(m.version));
+
+    if (pending.length === 0) {
+        console.log("No pending migrations.");
+        return;
+    }
+
+    for (const migration of pending) {
+        if (migration.up === undefined) {
+            throw new Error(`Migration ${migration.version}_${migration.name} has no up script.`);
+        }
+        await runInTransaction(migration.up,
+            `INSERT INTO schema_migrations (version, name) VALUES ($1, $2)`,
+            [migration.version, migration.name]);
+        console.log(`Applied ${migration.version}_${migration.name}`);
+    }
+
+}
+
+
+async function migrateDown(count) {
+
+    const applied = await appliedVersions();
+    const migrations = readMigrations();
+    const toRollBack = applied.slice(-count).reverse();
+
+    if (toRollBack.length === 0) {
+        console.log("No applied migrations.");
+        return;
+    }
+
+    for (const version of toRollBack) {
+        const migration = migrations.find(m => m.version === version);
+        if (migration === undefined || migration.down === undefined) {
+            throw new Error(`Migration ${version} has no down script.`);
+        }
+        await runInTransaction(migration.down,
+            `DELETE FROM schema_migrations WHERE version = $1`,
+            [version]);
+        console.log(`Rolled back ${migration.version}_${migration.name}`);
+    }
+
+}
+
+
+async function migrationStatus() {
+
+    const applied = await appliedVersions();
+
+    for (const migration of readMigrations()) {
+        const state = applied.includes(migration.version) ? "applied" : "pending";
+        console.log(`${state.padEnd(8)} ${migration.version}_${migration.name}`);
+    }
+
+}
+
+
+async function seed() {
+
+    const pending = readMigrations().length - (await appliedVersions()).length;
+    if (pending > 0) {
+        throw new Error(`${pending} migration(s) pending -- run 'node migrate.js up' before seeding.`);
+    }
+
+    await runInTransaction(SEED_FILE);
+    console.log(`Seeded from ${path.relative(__dirname, SEED_FILE)}`);
+
+}
+
+
+async function main(args) {
+
+    const [command, countArg] = args;
+
+    switch (command) {
+        case "up":
+            return migrateUp();
+        case "down": {
+            const count = (countArg === undefined) ? 1 : Number(countArg);
+            if (Number.isInteger(count) === false || count < 1) {
+                throw new Error(`down expects a whole number of migrations, not '${countArg}'.`);
+            }
+            return migrateDown(count);
+        }
+        case "status":
+            return migrationStatus();
+        case "seed":
+            return seed();
+        default:
+            throw new Error("Usage: node migrate.js up | down [n] | status | seed");
+    }
+
+}
+
+
+main(process.argv.slice(2))
+    .catch(err => {
+        console.error(err.message);
+        process.exitCode = 1;
+    })
+    .finally(() => db.end());
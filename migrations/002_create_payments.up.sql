@@ -0,0 +1,9 @@
+CREATE TABLE payments (
+    id serial PRIMARY KEY,
+    inv_id integer NOT NULL REFERENCES invoices ON DELETE CASCADE,
+    amt float NOT NULL,
+    pay_date date DEFAULT CURRENT_DATE NOT NULL,
+    voided boolean DEFAULT false NOT NULL,
+    void_date date,
+    CONSTRAINT payments_amt_check CHECK ((amt > (0)::double precision))
+);
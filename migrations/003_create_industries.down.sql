@@ -0,0 +1,2 @@
+DROP TABLE IF EXISTS companies_industries;
+DROP TABLE IF EXISTS industries;
@@ -0,0 +1,9 @@
+CREATE TABLE api_keys (
+    id serial PRIMARY KEY,
+    name text NOT NULL,
+    key_hash text NOT NULL UNIQUE,
+    role text NOT NULL,
+    created_at timestamp DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    revoked_at timestamp,
+    CONSTRAINT api_keys_role_check CHECK (role IN ('read', 'admin'))
+);
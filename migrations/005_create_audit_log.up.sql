@@ -0,0 +1,14 @@
+CREATE TABLE audit_log (
+    id serial PRIMARY KEY,
+    table_name text NOT NULL,
+    record_pk text NOT NULL,
+    action text NOT NULL,
+    before_data jsonb,
+    after_data jsonb,
+    actor text NOT NULL,
+    changed_at timestamp DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    CONSTRAINT audit_log_action_check CHECK (action IN ('insert', 'update', 'delete'))
+);
+
+CREATE INDEX audit_log_record_idx ON audit_log (table_name, record_pk);
+CREATE INDEX audit_log_changed_at_idx ON audit_log (changed_at);
@@ -0,0 +1,2 @@
+ALTER TABLE invoices DROP COLUMN IF EXISTS deleted_at;
+ALTER TABLE companies DROP COLUMN IF EXISTS deleted_at;
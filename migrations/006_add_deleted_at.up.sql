@@ -0,0 +1,2 @@
+ALTER TABLE companies ADD COLUMN deleted_at timestamp;
+ALTER TABLE invoices ADD COLUMN deleted_at timestamp;
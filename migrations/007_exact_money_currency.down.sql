@@ -0,0 +1,12 @@
+DROP FUNCTION IF EXISTS convert_amount(numeric, text, text, date);
+DROP TABLE IF EXISTS exchange_rates;
+
+ALTER TABLE invoices DROP COLUMN IF EXISTS currency;
+
+ALTER TABLE payments DROP CONSTRAINT payments_amt_check;
+ALTER TABLE payments ALTER COLUMN amt TYPE float USING amt::float;
+ALTER TABLE payments ADD CONSTRAINT payments_amt_check CHECK ((amt > (0)::double precision));
+
+ALTER TABLE invoices DROP CONSTRAINT invoices_amt_check;
+ALTER TABLE invoices ALTER COLUMN amt TYPE float USING amt::float;
+ALTER TABLE invoices ADD CONSTRAINT invoices_amt_check CHECK ((amt > (0)::double precision));
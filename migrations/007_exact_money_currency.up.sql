@@ -0,0 +1,47 @@
+-- amounts are stored exactly, to the cent, rather than as float.
+ALTER TABLE invoices DROP CONSTRAINT invoices_amt_check;
+ALTER TABLE invoices ALTER COLUMN amt TYPE numeric(12, 2) USING round(amt::numeric, 2);
+ALTER TABLE invoices ADD CONSTRAINT invoices_amt_check CHECK (amt > 0);
+
+ALTER TABLE payments DROP CONSTRAINT payments_amt_check;
+ALTER TABLE payments ALTER COLUMN amt TYPE numeric(12, 2) USING round(amt::numeric, 2);
+ALTER TABLE payments ADD CONSTRAINT payments_amt_check CHECK (amt > 0);
+
+-- ISO 4217 code of the currency the invoice (and its payments) is in.
+ALTER TABLE invoices ADD COLUMN currency text DEFAULT 'USD' NOT NULL;
+ALTER TABLE invoices ADD CONSTRAINT invoices_currency_check CHECK (currency ~ '^[A-Z]{3}$');
+
+-- 1 from_currency = rate to_currency, from effective_date until a later rate.
+CREATE TABLE exchange_rates (
+    id serial PRIMARY KEY,
+    from_currency text NOT NULL,
+    to_currency text NOT NULL,
+    rate numeric(18, 8) NOT NULL,
+    effective_date date DEFAULT CURRENT_DATE NOT NULL,
+    CONSTRAINT exchange_rates_from_currency_check CHECK (from_currency ~ '^[A-Z]{3}$'),
+    CONSTRAINT exchange_rates_to_currency_check CHECK (to_currency ~ '^[A-Z]{3}$' AND to_currency <> from_currency),
+    CONSTRAINT exchange_rates_rate_check CHECK (rate > 0),
+    UNIQUE (from_currency, to_currency, effective_date)
+);
+
+-- convert_amount(amount, from currency, to currency, on date) returns the amount
+--  in the other currency, rounded to the cent, at the latest rate in effect on the
+--  date. A rate recorded the other way round is used inverted. NULL is returned
+--  when there is no rate.
+CREATE FUNCTION convert_amount(numeric, text, text, date) RETURNS numeric
+LANGUAGE sql STABLE AS $$
+    SELECT CASE WHEN $2 = $3 THEN $1
+        ELSE round($1 * (
+            SELECT r.rate
+            FROM (
+                SELECT rate, effective_date FROM exchange_rates
+                WHERE from_currency = $2 AND to_currency = $3 AND effective_date <= $4
+                UNION ALL
+                SELECT 1 / rate, effective_date FROM exchange_rates
+                WHERE from_currency = $3 AND to_currency = $2 AND effective_date <= $4
+            ) AS r
+            ORDER BY r.effective_date DESC
+            LIMIT 1
+        ), 2)
+    END
+$$;
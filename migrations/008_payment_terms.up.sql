@@ -0,0 +1,16 @@
+-- days after add_date an invoice of the company is due, ie. 30 for net 30.
+ALTER TABLE companies ADD COLUMN payment_terms_days integer DEFAULT 30 NOT NULL;
+ALTER TABLE companies ADD CONSTRAINT companies_payment_terms_days_check
+    CHECK (payment_terms_days BETWEEN 0 AND 365);
+
+ALTER TABLE invoices ADD COLUMN due_date date;
+
+UPDATE invoices AS i
+SET due_date = i.add_date + c.payment_terms_days
+FROM companies AS c
+WHERE c.code = i.comp_code;
+
+ALTER TABLE invoices ALTER COLUMN due_date SET NOT NULL;
+ALTER TABLE invoices ADD CONSTRAINT invoices_due_date_check CHECK (due_date >= add_date);
+
+CREATE INDEX invoices_due_date_idx ON invoices (due_date) WHERE paid = false;
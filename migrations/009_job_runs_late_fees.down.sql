@@ -0,0 +1,2 @@
+DROP TABLE IF EXISTS late_fees;
+DROP TABLE IF EXISTS job_runs;
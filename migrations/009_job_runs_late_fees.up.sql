@@ -0,0 +1,33 @@
+-- one row each time a background job runs (see jobs.js).
+CREATE TABLE job_runs (
+    id serial PRIMARY KEY,
+    job_name text NOT NULL,
+    as_of date NOT NULL,
+    status text DEFAULT 'running' NOT NULL,
+    started_at timestamp DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    finished_at timestamp,
+    processed integer DEFAULT 0 NOT NULL,
+    result jsonb,
+    error text,
+    CONSTRAINT job_runs_status_check CHECK (status IN ('running', 'succeeded', 'skipped', 'failed'))
+);
+
+CREATE INDEX job_runs_job_name_idx ON job_runs (job_name, started_at);
+
+-- a late fee charged on an overdue invoice (inv_id). An invoice is charged once.
+--  The fee is either billed on its own invoice (fee_inv_id) or added to the amt
+--  of the overdue invoice (method 'adjustment').
+CREATE TABLE late_fees (
+    id serial PRIMARY KEY,
+    inv_id integer NOT NULL UNIQUE REFERENCES invoices ON DELETE CASCADE,
+    fee_inv_id integer REFERENCES invoices ON DELETE SET NULL,
+    method text NOT NULL,
+    amt numeric(12, 2) NOT NULL,
+    currency text NOT NULL,
+    applied_date date DEFAULT CURRENT_DATE NOT NULL,
+    job_run_id integer REFERENCES job_runs ON DELETE SET NULL,
+    CONSTRAINT late_fees_method_check CHECK (method IN ('invoice', 'adjustment')),
+    CONSTRAINT late_fees_amt_check CHECK (amt > 0)
+);
+
+CREATE INDEX late_fees_fee_inv_id_idx ON late_fees (fee_inv_id);
@@ -0,0 +1,3 @@
+ALTER TABLE invoices DROP COLUMN IF EXISTS period_date;
+ALTER TABLE invoices DROP COLUMN IF EXISTS recurring_id;
+DROP TABLE IF EXISTS recurring_invoices;
@@ -0,0 +1,28 @@
+-- a company billed amt every interval_count interval_units, ie. 1 month, from
+--  start_date until end_date (open ended when NULL). Period n (from 0) is dated
+--  start_date + n intervals; next_run_date is period periods_billed, the next one
+--  to bill (see recurringInvoices.js).
+CREATE TABLE recurring_invoices (
+    id serial PRIMARY KEY,
+    comp_code text NOT NULL REFERENCES companies ON DELETE CASCADE,
+    amt numeric(12, 2) NOT NULL,
+    currency text DEFAULT 'USD' NOT NULL,
+    interval_unit text NOT NULL,
+    interval_count integer DEFAULT 1 NOT NULL,
+    start_date date DEFAULT CURRENT_DATE NOT NULL,
+    end_date date,
+    next_run_date date NOT NULL,
+    periods_billed integer DEFAULT 0 NOT NULL,
+    CONSTRAINT recurring_invoices_amt_check CHECK (amt > 0),
+    CONSTRAINT recurring_invoices_currency_check CHECK (currency ~ '^[A-Z]{3}$'),
+    CONSTRAINT recurring_invoices_interval_unit_check CHECK (interval_unit IN ('day', 'week', 'month', 'year')),
+    CONSTRAINT recurring_invoices_interval_count_check CHECK (interval_count BETWEEN 1 AND 366),
+    CONSTRAINT recurring_invoices_end_date_check CHECK (end_date >= start_date)
+);
+
+CREATE INDEX recurring_invoices_next_run_date_idx ON recurring_invoices (next_run_date);
+
+-- the schedule and period an invoice was generated for. A period is billed once.
+ALTER TABLE invoices ADD COLUMN recurring_id integer REFERENCES recurring_invoices ON DELETE SET NULL;
+ALTER TABLE invoices ADD COLUMN period_date date;
+CREATE UNIQUE INDEX invoices_recurring_period_idx ON invoices (recurring_id, period_date);
@@ -0,0 +1,18 @@
+-- the lines of an invoice, in the currency of the invoice. tax_rate is a percent.
+--  line_total and tax_amt are each rounded to the cent; the amt of an invoice
+--  with items is the sum of both (see invoiceItems.js).
+CREATE TABLE invoice_items (
+    id serial PRIMARY KEY,
+    inv_id integer NOT NULL REFERENCES invoices ON DELETE CASCADE,
+    description text NOT NULL,
+    quantity numeric(12, 3) DEFAULT 1 NOT NULL,
+    unit_price numeric(12, 2) NOT NULL,
+    tax_rate numeric(6, 3) DEFAULT 0 NOT NULL,
+    line_total numeric(14, 2) GENERATED ALWAYS AS (round(quantity * unit_price, 2)) STORED,
+    tax_amt numeric(14, 2) GENERATED ALWAYS AS (round(round(quantity * unit_price, 2) * tax_rate / 100, 2)) STORED,
+    CONSTRAINT invoice_items_quantity_check CHECK (quantity > 0),
+    CONSTRAINT invoice_items_unit_price_check CHECK (unit_price >= 0),
+    CONSTRAINT invoice_items_tax_rate_check CHECK (tax_rate BETWEEN 0 AND 100)
+);
+
+CREATE INDEX invoice_items_inv_id_idx ON invoice_items (inv_id);
@@ -0,0 +1,34 @@
+-- a url that is sent the events it subscribes to (see webhookEvents.js), signed
+--  with secret.
+CREATE TABLE webhook_subscriptions (
+    id serial PRIMARY KEY,
+    url text NOT NULL,
+    events text[] NOT NULL,
+    secret text NOT NULL,
+    active boolean DEFAULT true NOT NULL,
+    created_at timestamp DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    CONSTRAINT webhook_subscriptions_url_check CHECK (url ~ '^https?://'),
+    CONSTRAINT webhook_subscriptions_events_check CHECK (cardinality(events) > 0)
+);
+
+-- the delivery queue and log: one row per event per subscription. A pending
+--  delivery is sent at next_attempt_at, and retried with backoff until it is
+--  delivered or has failed max attempts (see webhooks.js).
+CREATE TABLE webhook_deliveries (
+    id serial PRIMARY KEY,
+    subscription_id integer NOT NULL REFERENCES webhook_subscriptions ON DELETE CASCADE,
+    event text NOT NULL,
+    payload jsonb NOT NULL,
+    status text DEFAULT 'pending' NOT NULL,
+    attempts integer DEFAULT 0 NOT NULL,
+    created_at timestamp DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    next_attempt_at timestamp DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    last_attempt_at timestamp,
+    response_status integer,
+    last_error text,
+    delivered_at timestamp,
+    CONSTRAINT webhook_deliveries_status_check CHECK (status IN ('pending', 'delivered', 'failed'))
+);
+
+CREATE INDEX webhook_deliveries_subscription_idx ON webhook_deliveries (subscription_id, id);
+CREATE INDEX webhook_deliveries_pending_idx ON webhook_deliveries (next_attempt_at) WHERE status = 'pending';
@@ -0,0 +1,5 @@
+DROP INDEX IF EXISTS companies_name_trgm_idx;
+DROP INDEX IF EXISTS companies_code_trgm_idx;
+DROP INDEX IF EXISTS companies_search_idx;
+DROP FUNCTION IF EXISTS company_search_vector(text, text, text);
+-- pg_trgm is left installed -- it is database wide and may be used elsewhere.
@@ -0,0 +1,17 @@
+-- trigram matching (similarity, %) finds companies by a misspelled code or name.
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+-- company_search_vector is the full-text document of a company: its code and name
+--  weigh more than its description. GET /search and the index use the same
+--  function so the index is used.
+CREATE FUNCTION company_search_vector(text, text, text) RETURNS tsvector
+LANGUAGE sql IMMUTABLE AS $$
+    SELECT setweight(to_tsvector('simple'::regconfig, coalesce($1, '')), 'A')
+        || setweight(to_tsvector('english'::regconfig, coalesce($2, '')), 'A')
+        || setweight(to_tsvector('english'::regconfig, coalesce($3, '')), 'B')
+$$;
+
+CREATE INDEX companies_search_idx ON companies
+    USING gin (company_search_vector(code, name, description));
+CREATE INDEX companies_code_trgm_idx ON companies USING gin (code gin_trgm_ops);
+CREATE INDEX companies_name_trgm_idx ON companies USING gin (name gin_trgm_ops);
@@ -0,0 +1,7 @@
+DROP TRIGGER IF EXISTS invoices_next_row_version ON invoices;
+DROP TRIGGER IF EXISTS companies_next_row_version ON companies;
+DROP FUNCTION IF EXISTS next_row_version();
+ALTER TABLE invoices DROP COLUMN IF EXISTS updated_at;
+ALTER TABLE invoices DROP COLUMN IF EXISTS version;
+ALTER TABLE companies DROP COLUMN IF EXISTS updated_at;
+ALTER TABLE companies DROP COLUMN IF EXISTS version;
@@ -0,0 +1,21 @@
+-- version counts the changes to a company or invoice; it is the ETag the routes
+--  return and check If-Match against. updated_at is when the last change was.
+ALTER TABLE companies ADD COLUMN version integer DEFAULT 1 NOT NULL;
+ALTER TABLE companies ADD COLUMN updated_at timestamp with time zone DEFAULT CURRENT_TIMESTAMP NOT NULL;
+ALTER TABLE invoices ADD COLUMN version integer DEFAULT 1 NOT NULL;
+ALTER TABLE invoices ADD COLUMN updated_at timestamp with time zone DEFAULT CURRENT_TIMESTAMP NOT NULL;
+
+-- every update moves the version on, whichever route or job made it.
+CREATE FUNCTION next_row_version() RETURNS trigger
+LANGUAGE plpgsql AS $$
+BEGIN
+    NEW.version := OLD.version + 1;
+    NEW.updated_at := CURRENT_TIMESTAMP;
+    RETURN NEW;
+END
+$$;
+
+CREATE TRIGGER companies_next_row_version BEFORE UPDATE ON companies
+    FOR EACH ROW EXECUTE FUNCTION next_row_version();
+CREATE TRIGGER invoices_next_row_version BEFORE UPDATE ON invoices
+    FOR EACH ROW EXECUTE FUNCTION next_row_version();
@@ -0,0 +1,3 @@
+ALTER TABLE recurring_invoices ALTER CONSTRAINT recurring_invoices_comp_code_fkey NOT DEFERRABLE;
+ALTER TABLE companies_industries ALTER CONSTRAINT companies_industries_comp_code_fkey NOT DEFERRABLE;
+ALTER TABLE invoices ALTER CONSTRAINT invoices_comp_code_fkey NOT DEFERRABLE;
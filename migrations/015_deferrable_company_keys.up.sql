@@ -0,0 +1,9 @@
+-- a company code can change. The rows that reference it are moved to the new
+--  code in the same transaction (see PATCH /companies/[code]), with the key
+--  checks deferred to the commit -- each move is then in the audit log, which
+--  an ON UPDATE CASCADE would not be.
+ALTER TABLE invoices ALTER CONSTRAINT invoices_comp_code_fkey DEFERRABLE INITIALLY IMMEDIATE;
+ALTER TABLE companies_industries ALTER CONSTRAINT companies_industries_comp_code_fkey
+    DEFERRABLE INITIALLY IMMEDIATE;
+ALTER TABLE recurring_invoices ALTER CONSTRAINT recurring_invoices_comp_code_fkey
+    DEFERRABLE INITIALLY IMMEDIATE;
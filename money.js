@@ -0,0 +1,105 @@
+/** Money for BizTime.
+ *
+ *  Amounts are numeric(12, 2) in the database, so they are exact to the cent.
+ *  pg reads numeric as a decimal string, ie. "1250.00", and amounts are returned
+ *  that way, so no digit is lost to a float. Totals are summed in SQL or, in JS,
+ *  as whole cents (toCents) -- never as float dollars.
+ *
+ *  Every invoice has a currency. Amounts in different currencies are only added
+ *  up after converting them to one reporting currency with convert_amount (see
+ *  migrations/007_exact_money_currency.up.sql) at the rates in exchange_rates.
+ */
+
+const db = require("./db");
+const ExpressError = require("./expressError");
+const sql = require("./sqlBuilder");
+
+
+function toCents(amount) {
+    /*  toCents returns the amount, a decimal string from pg or a number, as a whole
+         number of cents, rounded half away from zero. A decimal string is read
+         digit by digit, so 1.005 is 101 cents, not the 100 of 1.005 * 100.
+    */
+
+    const decimal = /^\s*(-?)(\d*)(?:\.(\d*))?\s*$/.exec(`${amount}`);
+    if (decimal === null || (decimal[2] === "" && (decimal[3] || "") === "")) {
+        return Math.round(Number(amount) * 100);
+    }
+    const [, sign, whole, fraction = ""] = decimal;
+    const digits = fraction.padEnd(3, "0");
+    const cents = Number(whole || 0) * 100 + Number(digits.slice(0, 2)) + (Number(digits[2]) >= 5 ? 1 : 0);
+    return (sign === "-" && cents !== 0) ? -cents : cents;
+
+}
+
+
+function fromCents(cents) {
+    // returns a whole number of cents as an amount, a decimal string as pg reads numeric(12, 2).
+    const abs = Math.abs(cents);
+    return `${cents < 0 ? "-" : ""}${Math.floor(abs / 100)}.${`${abs % 100}`.padStart(2, "0")}`;
+}
+
+
+function roundCents(amount) {
+    // rounds an amount to the cent.
+    return fromCents(toCents(amount));
+}
+
+
+function missingRateError(currencies, currency) {
+    /*  missingRateError returns the 422 error for totals that cannot be converted to
+         currency because there is no exchange rate for currencies, an array.
+    */
+
+    const errorRate = new ExpressError(
+        `There is no exchange rate from ${[...new Set(currencies)].sort().join(", ")} to ${currency}. `
+        + "Add one with POST /exchange-rates.", 422);
+    errorRate.field = "currency";
+    return errorRate;
+
+}
+
+
+async function invoiceTotals(criteria, currency) {
+    /*  invoiceTotals adds up the amounts of every invoice that matches criteria (see
+         where in sqlBuilder.js) in currency, converted at today's rates.
+
+        Returns:
+            { success: true, sqlReturn: { currency, invoices: count, amt } }
+        OR
+            { success: false, error: { message: the error to pass on to dbError, or
+                the missingRateError when an amount cannot be converted } }
+    */
+
+    try {
+        const whereClause = sql.where("invoices", criteria, [currency]);
+        const result = await db.query(
+            `SELECT COUNT(*)::integer AS invoices,
+                COALESCE(SUM(converted), 0) AS amt,
+                ARRAY_AGG(DISTINCT currency) FILTER (WHERE converted IS NULL) AS missing_rates
+            FROM (
+                SELECT currency, convert_amount(amt, currency, $1, CURRENT_DATE) AS converted
+                FROM ${sql.table("invoices")} ${whereClause.text}
+            ) AS i`, whereClause.values
+        );
+
+        const { missing_rates, ...totals } = result.rows[0];
+        if (missing_rates !== null) {
+            return { success: false, error: { message: missingRateError(missing_rates, currency) } };
+        }
+        return { success: true, sqlReturn: { currency: currency, ...totals } };
+
+    } catch (err) {
+        return { success: false, error: { message: err } };
+    }
+
+}
+
+
+module.exports = {
+    toCents: toCents
+    , fromCents: fromCents
+    , roundCents: roundCents
+    , missingRateError: missingRateError
+    , invoiceTotals: invoiceTotals
+}
@@ -0,0 +1,84 @@
+/** Tests of exact amounts and currency conversion. */
+
+const db = require("./db");
+const { fromCents, invoiceTotals, missingRateError, roundCents, toCents } = require("./money");
+const { addCompany, resetDb } = require("./testCommon");
+
+afterAll(async function () {
+    await db.end();
+});
+
+
+describe("toCents and fromCents", function () {
+
+    test("read decimal strings, as pg returns numeric, and numbers", function () {
+        expect(toCents("1250.00")).toBe(125000);
+        expect(toCents("12.5")).toBe(1250);
+        expect(toCents(".5")).toBe(50);
+        expect(toCents(3.14)).toBe(314);
+        expect(toCents(0)).toBe(0);
+    });
+
+    test("keep the sign of negative amounts", function () {
+        expect(toCents("-12.34")).toBe(-1234);
+        expect(fromCents(-1234)).toBe("-12.34");
+        expect(fromCents(-5)).toBe("-0.05");
+        expect(toCents("-0.004")).toBe(0);
+    });
+
+    test("add amounts a float cannot hold exactly", function () {
+        expect(0.10 + 0.20).not.toBe(0.30);
+        expect(fromCents(toCents("0.10") + toCents("0.20"))).toBe("0.30");
+        expect(toCents("1.005")).toBe(101);
+        expect(roundCents("2.675")).toBe("2.68");
+    });
+
+    test("cover the numeric(12, 2) limits", function () {
+        expect(toCents("9999999999.99")).toBe(999999999999);
+        expect(fromCents(999999999999)).toBe("9999999999.99");
+        expect(toCents("-9999999999.99")).toBe(-999999999999);
+        expect(fromCents(toCents("0.01"))).toBe("0.01");
+    });
+
+});
+
+
+describe("currency conversion", function () {
+
+    beforeEach(async function () {
+        await resetDb();
+        await addCompany("acme");
+    });
+
+    test("missingRateError is a 422 naming the currencies without a rate", function () {
+        const error = missingRateError(["GBP", "EUR", "GBP"], "USD");
+
+        expect(error.status).toBe(422);
+        expect(error.field).toBe("currency");
+        expect(error.message).toContain("from EUR, GBP to USD");
+    });
+
+    test("invoiceTotals converts at the exchange rate, exactly to the cent", async function () {
+        await db.query(`INSERT INTO exchange_rates (from_currency, to_currency, rate, effective_date)
+            VALUES ('EUR', 'USD', 1.08, '2020-01-01')`);
+        await db.query(`INSERT INTO invoices (comp_code, amt, currency, due_date)
+            VALUES ('acme', 100.10, 'EUR', CURRENT_DATE + 30), ('acme', 0.20, 'USD', CURRENT_DATE + 30)`);
+
+        const results = await invoiceTotals({}, "USD");
+
+        expect(results.success).toBe(true);
+        expect(results.sqlReturn).toEqual({ currency: "USD", invoices: 2, amt: "108.31" });
+    });
+
+    test("invoiceTotals fails with a 422 when a currency has no exchange rate", async function () {
+        await db.query(`INSERT INTO invoices (comp_code, amt, currency, due_date)
+            VALUES ('acme', 100, 'EUR', CURRENT_DATE + 30), ('acme', 5, 'USD', CURRENT_DATE + 30)`);
+
+        const results = await invoiceTotals({}, "USD");
+
+        expect(results.success).toBe(false);
+        expect(results.error.message.status).toBe(422);
+        expect(results.error.message.message).toContain("from EUR to USD");
+    });
+
+});
@@ -0,0 +1,160 @@
+/** A minimal PDF writer for BizTime.
+ *
+ *  Documents are built in-process from text and rules -- enough for printable
+ *  invoices without a rendering service. Text uses the standard Helvetica fonts
+ *  every PDF reader has, so nothing is embedded. Characters outside Latin-1 are
+ *  printed as '?'.
+ *
+ *  Coordinates are in points (1/72 inch) from the bottom left of the page.
+ */
+
+// US Letter.
+const PAGE_WIDTH = 612;
+const PAGE_HEIGHT = 792;
+
+// Helvetica widths, in 1/1000 of the font size, of the printable ASCII characters
+//  from ' ' (32) to '~' (126). Other characters are measured as 556.
+const HELVETICA_WIDTHS = [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+
+// bold letters run about 5% wider than regular ones.
+const BOLD_FACTOR = 1.05;
+
+
+function textWidth(text, size, bold = false) {
+    // returns the width in points of text printed at size.
+
+    let units = 0;
+    for (const char of `${text}`) {
+        const code = char.charCodeAt(0);
+        units += (code >= 32 && code <= 126) ? HELVETICA_WIDTHS[code - 32] : 556;
+    }
+    return units * size / 1000 * (bold ? BOLD_FACTOR : 1);
+
+}
+
+
+function wrapText(text, size, maxWidth, bold = false) {
+    // splits text into lines no wider than maxWidth, breaking between words.
+
+    const lines = [];
+    for (const paragraph of `${text}`.split(/\r?\n/)) {
+        let line = "";
+        for (const word of paragraph.split(/\s+/).filter(word => word !== "")) {
+            const candidate = (line === "") ? word : `${line} ${word}`;
+            if (line !== "" && textWidth(candidate, size, bold) > maxWidth) {
+                lines.push(line);
+                line = word;
+            } else {
+                line = candidate;
+            }
+        }
+        lines.push(line);
+    }
+    return lines;
+
+}
+
+
+function pdfString(text) {
+    // returns text as a PDF literal string in Latin-1 (WinAnsi) with ( ) \ escaped.
+
+    const latin1 = Array.from(`${text}`, char => {
+        const code = char.charCodeAt(0);
+        if (code < 32) {
+            return " ";
+        }
+        return (code > 255) ? "?" : char;
+    }).join("");
+    return `(${latin1.replace(/[\\()]/g, match => `\\${match}`)})`;
+
+}
+
+
+function pageContent(items) {
+    /*  pageContent returns the content stream drawing items on a page.
+
+        items, array, each one of
+            { text, x, y, size, bold, align }   align 'left' (default) or 'right'
+                                                 of x
+            { line: [x1, y1, x2, y2], width }   a rule, width defaults to 0.5
+    */
+
+    const ops = [];
+    for (const item of items) {
+        if (item.line !== undefined) {
+            const [x1, y1, x2, y2] = item.line;
+            ops.push(`${item.width || 0.5} w ${x1} ${y1} m ${x2} ${y2} l S`);
+            continue;
+        }
+        const size = item.size || 10;
+        const x = (item.align === "right") ? item.x - textWidth(item.text, size, item.bold) : item.x;
+        ops.push(`BT /${item.bold ? "F2" : "F1"} ${size} Tf ${x.toFixed(2)} ${item.y} Td ${pdfString(item.text)} Tj ET`);
+    }
+    return ops.join("\n");
+
+}
+
+
+function buildPdf(pages, title = "") {
+    /*  buildPdf returns the PDF document as a Buffer.
+
+        pages, array, the items of each page (see pageContent).
+        title, string, optional, the document title readers show.
+    */
+
+    // objects 1 - 4 are fixed; each page adds a page object and its content stream.
+    const objects = [];
+    const pageIds = pages.map((page, idx) => 5 + idx * 2);
+
+    objects[1] = "<< /Type /Catalog /Pages 2 0 R >>";
+    objects[2] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(" ")}] /Count ${pages.length} >>`;
+    objects[3] = "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>";
+    objects[4] = "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>";
+
+    pages.forEach((items, idx) => {
+        const content = pageContent(items);
+        objects[pageIds[idx]] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] `
+            + "/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> "
+            + `/Contents ${pageIds[idx] + 1} 0 R >>`;
+        objects[pageIds[idx] + 1] =
+            `<< /Length ${Buffer.byteLength(content, "latin1")} >>\nstream\n${content}\nendstream`;
+    });
+
+    const infoId = objects.length;
+    objects[infoId] = `<< /Title ${pdfString(title)} /Producer (BizTime) >>`;
+
+    // the cross-reference table needs the byte offset of every object.
+    let body = "%PDF-1.4\n";
+    const offsets = [];
+    for (let id = 1; id < objects.length; id++) {
+        offsets[id] = Buffer.byteLength(body, "latin1");
+        body += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+    }
+
+    const xrefOffset = Buffer.byteLength(body, "latin1");
+    body += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+    for (let id = 1; id < objects.length; id++) {
+        body += `${`${offsets[id]}`.padStart(10, "0")} 00000 n \n`;
+    }
+    body += `trailer\n<< /Size ${objects.length} /Root 1 0 R /Info ${infoId} 0 R >>\n`
+        + `startxref\n${xrefOffset}\n%%EOF\n`;
+
+    return Buffer.from(body, "latin1");
+
+}
+
+
+module.exports = {
+    PAGE_WIDTH: PAGE_WIDTH
+    , PAGE_HEIGHT: PAGE_HEIGHT
+    , textWidth: textWidth
+    , wrapText: wrapText
+    , buildPdf: buildPdf
+}
@@ -0,0 +1,172 @@
+/** Error responses for BizTime.
+ *
+ *  Every error leaves the app as an application/problem+json body (RFC 7807):
+ *
+ *      { type, title, status, detail, instance, field }
+ *
+ *  field names the offending request field when one is known. Validation errors
+ *  also carry errors: [{field, location, message}, ...].
+ *
+ *  Postgres errors are mapped by SQLSTATE code so a constraint the database
+ *  enforces answers with the same status and shape no matter which route hit it.
+ */
+
+const { STATUS_CODES } = require("http");
+const ExpressError = require("./expressError");
+
+const PROBLEM_TYPE = "urn:biztime:problem";
+
+// SQLSTATE codes: https://www.postgresql.org/docs/current/errcodes-appendix.html
+const PG_UNIQUE_VIOLATION = "23505";
+const PG_FOREIGN_KEY_VIOLATION = "23503";
+const PG_CHECK_VIOLATION = "23514";
+const PG_NOT_NULL_VIOLATION = "23502";
+// bad values for a column type: invalid text representation, numeric value out of
+//  range, invalid datetime format, datetime field overflow.
+const PG_INVALID_INPUT = ["22P02", "22003", "22007", "22008"];
+
+
+function isDbError(err) {
+    // true for errors that came back from Postgres (they carry a SQLSTATE code).
+    return err instanceof Error
+        && typeof err.code === "string"
+        && /^[0-9A-Z]{5}$/.test(err.code)
+        && err.severity !== undefined;
+}
+
+
+function keyFromDetail(detail) {
+    /*  keyFromDetail pulls the column and value out of the detail of a key
+         violation, ie. 'Key (comp_code)=(xyz) is not present in table "companies".'
+
+        Returns: { field, value } or {} when the detail has no key.
+    */
+
+    const match = /^Key \((.+?)\)=\((.*?)\)/.exec(detail || "");
+    return (match === null) ? {} : { field: match[1], value: match[2] };
+}
+
+
+function problemError(status, type, message, field) {
+    // returns an ExpressError that carries its problem type and field.
+
+    const err = new ExpressError(message, status);
+    err.type = `${PROBLEM_TYPE}:${type}`;
+    if (field !== undefined) {
+        err.field = field;
+    }
+    return err;
+
+}
+
+
+function mapDbError(err) {
+    /*  mapDbError turns a Postgres error into an ExpressError with the status,
+         problem type and offending field for the violation.
+
+            unique violation             409
+            foreign key violation        422 (409 when a delete is blocked)
+            check violation              422
+            not null violation           400
+            invalid input for the type   400
+            anything else                500
+    */
+
+    const key = keyFromDetail(err.detail);
+
+    if (err.code === PG_UNIQUE_VIOLATION) {
+        return problemError(409, "unique-violation",
+            `${err.table} ${key.field} '${key.value}' already exists.`, key.field);
+    }
+
+    if (err.code === PG_FOREIGN_KEY_VIOLATION) {
+        if (/still referenced/.test(err.detail || "")) {
+            return problemError(409, "foreign-key-violation",
+                `${err.table} ${key.field} '${key.value}' is still referenced and cannot be removed.`,
+                key.field);
+        }
+        const referenced = /in table "(.+?)"/.exec(err.detail || "");
+        return problemError(422, "foreign-key-violation",
+            `${key.field} '${key.value}' does not exist${referenced ? ` in ${referenced[1]}` : ""}.`,
+            key.field);
+    }
+
+    if (err.code === PG_CHECK_VIOLATION) {
+        // check constraints are named <table>_<column>_check, ie. invoices_amt_check.
+        const field = (err.table && err.constraint)
+            ? err.constraint.replace(`${err.table}_`, "").replace(/_check$/, "")
+            : undefined;
+        return problemError(422, "check-violation",
+            `The value for ${field || "a field"} is not allowed (${err.constraint}).`, field);
+    }
+
+    if (err.code === PG_NOT_NULL_VIOLATION) {
+        return problemError(400, "not-null-violation", `${err.column} is required.`, err.column);
+    }
+
+    if (PG_INVALID_INPUT.includes(err.code)) {
+        return problemError(400, "invalid-input", err.message);
+    }
+
+    return problemError(500, "database-error", err.message);
+
+}
+
+
+function dbError(err, status = 400) {
+    /*  dbError returns the error a route passes on to next() for a failed db call.
+
+        err, the error from the db function results (results.error.message) or
+            what a rolled back transaction threw.
+        status, number, the status for an error message (a string) the db function
+            reported. Any other Error without a status, ie. a lost connection, is
+            unexpected and answers 500.
+    */
+
+    if (isDbError(err)) {
+        return mapDbError(err);
+    }
+    if (err instanceof Error) {
+        return err.status ? err : Object.assign(err, { status: 500 });
+    }
+    return new ExpressError(`${err}`, status);
+
+}
+
+
+function toProblem(err, req) {
+    /*  toProblem builds the problem+json body for an error that reached the error
+         handler. Details of unexpected (500) errors stay in the server log.
+    */
+
+    const mapped = isDbError(err) ? mapDbError(err) : err;
+    const status = mapped.status || mapped.statusCode || 500;
+    // errors from Express middleware use type for their own names, ie. the
+    //  'entity.parse.failed' of a bad JSON body.
+    const type = `${mapped.type}`.startsWith(PROBLEM_TYPE) ? mapped.type : undefined;
+
+    const problem = {
+        type: type || "about:blank",
+        title: STATUS_CODES[status] || "Error",
+        status: status,
+        detail: (status >= 500) ? "An unexpected error occurred." : mapped.message,
+        instance: req.originalUrl
+    };
+
+    if (mapped.field !== undefined) {
+        problem.field = mapped.field;
+    }
+    if (Array.isArray(mapped.errors)) {
+        problem.type = type || `${PROBLEM_TYPE}:validation`;
+        problem.errors = mapped.errors;
+    }
+
+    return problem;
+
+}
+
+
+module.exports = {
+    dbError: dbError
+    , toProblem: toProblem
+}
@@ -0,0 +1,148 @@
+/** Recurring invoices for BizTime.
+ *
+ *  A schedule in recurring_invoices bills its company amt every interval_count
+ *  interval_units from start_date. Period n (from 0) is dated start_date plus n
+ *  intervals -- counted from start_date each time, so a schedule that starts on
+ *  the 31st is billed on the last day of shorter months and back on the 31st
+ *  after them.
+ *
+ *  The recurring-invoices job (see jobs.js) adds an invoice for every period
+ *  dated on or before today that was not billed yet, so periods missed while the
+ *  server was down are caught up on the next run. A run bills at most
+ *  MAX_PERIODS_PER_RUN periods of a schedule; a schedule further behind (ie. a
+ *  start_date years back) carries on from there on the runs after. A period is
+ *  billed once -- invoices (recurring_id, period_date) is unique.
+ */
+
+const { dbInsert, dbTransaction, dbUpdate } = require("./dbFunctions");
+const { dueDate, formatDate } = require("./invoiceStatus");
+
+const INTERVAL_UNITS = ["day", "week", "month", "year"];
+
+// the most periods of one schedule a run bills, so catching up stays one short transaction.
+const MAX_PERIODS_PER_RUN = 100;
+
+// concurrent runs wait on this transaction lock rather than both billing.
+const RECURRING_LOCK = "biztime recurring-invoices";
+
+
+function addMonths(year, monthIdx, day, months) {
+    // returns the YYYY-MM-DD date months after, on the same day or the last day of a shorter month.
+
+    const lastDay = new Date(Date.UTC(year, monthIdx + months + 1, 0)).getUTCDate();
+    return new Date(Date.UTC(year, monthIdx + months, Math.min(day, lastDay))).toISOString().slice(0, 10);
+
+}
+
+
+function periodDate(startDate, intervalUnit, intervalCount, period) {
+    /*  periodDate returns the YYYY-MM-DD date of period (0 is start_date) of a
+         schedule starting on startDate (YYYY-MM-DD) every intervalCount
+         intervalUnits.
+    */
+
+    const [year, month, day] = startDate.split("-").map(Number);
+    const intervals = intervalCount * period;
+
+    switch (intervalUnit) {
+        case "day":
+            return new Date(Date.UTC(year, month - 1, day + intervals)).toISOString().slice(0, 10);
+        case "week":
+            return new Date(Date.UTC(year, month - 1, day + 7 * intervals)).toISOString().slice(0, 10);
+        case "month":
+            return addMonths(year, month - 1, day, intervals);
+        case "year":
+            return addMonths(year, month - 1, day, 12 * intervals);
+        default:
+            throw new Error(`Unknown interval unit '${intervalUnit}'.`);
+    }
+
+}
+
+
+async function generateRecurringInvoices(asOf) {
+    /*  generateRecurringInvoices adds the invoices of every schedule period dated on
+         or before asOf (YYYY-MM-DD) that was not billed yet, in one transaction.
+         Schedules of deleted companies are left until the company is restored.
+
+        Returns:
+            { success: true, sqlReturn: { processed: invoices added, result: {
+                created: [{recurring_id, inv_id, period_date}, ...] } } }
+        OR
+            { success: false, error: { message: the error } }
+    */
+
+    return dbTransaction(async function (client) {
+        await client.query("SELECT pg_advisory_xact_lock(hashtext($1))", [RECURRING_LOCK]);
+
+        const result = await client.query(`
+            SELECT r.id, r.comp_code, r.amt, r.currency, r.interval_unit, r.interval_count,
+                r.start_date, r.end_date, r.next_run_date, r.periods_billed, c.payment_terms_days
+            FROM recurring_invoices AS r
+                JOIN companies AS c ON c.code = r.comp_code AND c.deleted_at IS NULL
+            WHERE r.next_run_date <= $1::date
+                AND (r.end_date IS NULL OR r.next_run_date <= r.end_date)
+            ORDER BY r.id
+            FOR UPDATE OF r
+        `, [asOf]);
+
+        const created = [];
+        for (const schedule of result.rows) {
+            created.push(...await billSchedule(client, schedule, asOf));
+        }
+
+        return { processed: created.length, result: { created: created } };
+    });
+
+}
+
+
+async function billSchedule(client, schedule, asOf) {
+    /*  billSchedule adds an invoice for each period of schedule from next_run_date
+         to asOf (and end_date), up to MAX_PERIODS_PER_RUN of them, then moves
+         next_run_date past them. Errors are thrown so the transaction rolls back.
+
+        Returns: [{recurring_id, inv_id, period_date}, ...]
+    */
+
+    const startDate = formatDate(schedule.start_date);
+    const endDate = (schedule.end_date === null) ? null : formatDate(schedule.end_date);
+    const created = [];
+
+    let period = schedule.periods_billed;
+    let date = formatDate(schedule.next_run_date);
+    while (date <= asOf && (endDate === null || date <= endDate) && created.length < MAX_PERIODS_PER_RUN) {
+        const resultsInsert = await dbInsert({
+            argumentsName: ["comp_code", "amt", "currency", "add_date", "due_date", "recurring_id", "period_date"],
+            argumentsValues: [
+                schedule.comp_code, schedule.amt, schedule.currency, date,
+                dueDate(date, schedule.payment_terms_days), schedule.id, date
+            ]
+        }, "invoices", "id", client);
+        if (resultsInsert.success === false) {
+            throw resultsInsert.error.message;
+        }
+        created.push({ recurring_id: schedule.id, inv_id: resultsInsert.sqlReturn.id, period_date: date });
+
+        period++;
+        date = periodDate(startDate, schedule.interval_unit, schedule.interval_count, period);
+    }
+
+    const resultsUpdate = await dbUpdate({ pk: "id", value: schedule.id }, {
+        argumentsName: ["next_run_date", "periods_billed"],
+        argumentsValues: [date, period]
+    }, "recurring_invoices", client);
+    if (resultsUpdate.success === false) {
+        throw resultsUpdate.error.message;
+    }
+
+    return created;
+
+}
+
+
+module.exports = {
+    INTERVAL_UNITS: INTERVAL_UNITS
+    , periodDate: periodDate
+    , generateRecurringInvoices: generateRecurringInvoices
+}
@@ -0,0 +1,91 @@
+/** Tests of recurring invoice schedules and the job that bills them. */
+
+const db = require("./db");
+const { generateRecurringInvoices, periodDate } = require("./recurringInvoices");
+const { addCompany, resetDb } = require("./testCommon");
+
+beforeEach(async function () {
+    await resetDb();
+    await addCompany("acme");
+});
+
+afterAll(async function () {
+    await db.end();
+});
+
+
+async function addSchedule(intervalUnit, startDate) {
+    // adds a schedule billing acme 10 every intervalUnit from startDate and returns its id.
+    const result = await db.query(
+        `INSERT INTO recurring_invoices (comp_code, amt, interval_unit, start_date, next_run_date)
+        VALUES ('acme', 10, $1, $2, $2) RETURNING id`, [intervalUnit, startDate]);
+    return result.rows[0].id;
+}
+
+
+async function billedPeriods(id) {
+    // returns the period dates billed for schedule id, YYYY-MM-DD, in order.
+    const result = await db.query(
+        `SELECT period_date::text FROM invoices WHERE recurring_id = $1 ORDER BY period_date`, [id]);
+    return result.rows.map(row => row.period_date);
+}
+
+
+async function run(asOf) {
+    // runs the job as of asOf and returns the number of invoices it added.
+    const results = await generateRecurringInvoices(asOf);
+    expect(results.success).toBe(true);
+    return results.sqlReturn.processed;
+}
+
+
+describe("periodDate", function () {
+
+    test("bills a schedule starting on the 31st on the last day of shorter months", function () {
+        expect(periodDate("2025-01-31", "month", 1, 1)).toBe("2025-02-28");
+        expect(periodDate("2024-01-31", "month", 1, 1)).toBe("2024-02-29");
+        expect(periodDate("2025-01-31", "month", 1, 2)).toBe("2025-03-31");
+        expect(periodDate("2024-02-29", "year", 1, 1)).toBe("2025-02-28");
+    });
+
+});
+
+
+describe("generateRecurringInvoices", function () {
+
+    test("bills a schedule starting on Jan 31 at each month end through February", async function () {
+        const id = await addSchedule("month", "2025-01-31");
+
+        expect(await run("2025-04-30")).toBe(4);
+        expect(await billedPeriods(id)).toEqual(["2025-01-31", "2025-02-28", "2025-03-31", "2025-04-30"]);
+    });
+
+    test("a second run for the same date adds no invoice", async function () {
+        const id = await addSchedule("week", "2025-01-01");
+
+        expect(await run("2025-01-29")).toBe(5);
+        expect(await run("2025-01-29")).toBe(0);
+        expect(await billedPeriods(id)).toHaveLength(5);
+    });
+
+    test("catches up more than 100 missed periods over several runs", async function () {
+        // 2024-01-01 to 2024-08-28 is 241 daily periods.
+        const id = await addSchedule("day", "2024-01-01");
+
+        expect(await run("2024-08-28")).toBe(100);
+        expect(await run("2024-08-28")).toBe(100);
+        expect(await run("2024-08-28")).toBe(41);
+        expect(await run("2024-08-28")).toBe(0);
+
+        const periods = await billedPeriods(id);
+        expect(periods).toHaveLength(241);
+        expect(new Set(periods).size).toBe(241);
+        expect(periods[0]).toBe("2024-01-01");
+        expect(periods[240]).toBe("2024-08-28");
+
+        const schedule = await db.query(
+            `SELECT next_run_date::text, periods_billed FROM recurring_invoices WHERE id = $1`, [id]);
+        expect(schedule.rows[0]).toEqual({ next_run_date: "2024-08-29", periods_billed: 241 });
+    });
+
+});
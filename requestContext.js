@@ -0,0 +1,48 @@
+/** Per-request context for BizTime.
+ *
+ *  The data layer needs to know who is making a change (for the audit log)
+ *  without every route passing it down through each db function. The
+ *  requestContext middleware keeps it for the rest of the request, across
+ *  awaits, and currentActor reads it back.
+ */
+
+const { AsyncLocalStorage } = require("async_hooks");
+
+const storage = new AsyncLocalStorage();
+
+// the actor for changes made outside a request, ie. from the command line.
+const SYSTEM_ACTOR = "system";
+
+
+function requestContext(req, res, next) {
+    // middleware -- mount after authenticate so req.apiKey is known.
+
+    const actor = req.apiKey
+        ? `${req.apiKey.name} (key ${req.apiKey.id})`
+        : SYSTEM_ACTOR;
+
+    storage.run({ actor: actor }, next);
+
+}
+
+
+function runAs(actor, work) {
+    // runs work, an async function, with actor making its changes, ie. a background job.
+    return storage.run({ actor: actor }, work);
+}
+
+
+function currentActor() {
+    // returns who is making the current change.
+
+    const store = storage.getStore();
+    return store ? store.actor : SYSTEM_ACTOR;
+
+}
+
+
+module.exports = {
+    requestContext: requestContext
+    , runAs: runAs
+    , currentActor: currentActor
+}
@@ -0,0 +1,82 @@
+/** Routes for api keys of BizTime. Every route needs an admin key. */
+
+const express = require("express");
+const { ROLES, issueKey, listKeys, requireRole, revokeKey } = require("../auth");
+const { dbError } = require("../problem");
+const { validate } = require("../validation");
+const router = express.Router();
+
+router.use(requireRole("admin"));
+
+// request schemas, see validate in validation.js.
+const API_KEY_CREATE = {
+    body: {
+        name: { type: "string", required: true, maxLength: 100 },
+        role: { type: "string", required: true, oneOf: ROLES }
+    }
+}
+
+const API_KEY_REVOKE = {
+    params: {
+        id: { type: "integer", required: true, min: 1 }
+    }
+}
+
+
+/** GET {/api-keys}/ ; return {api_keys: [{id, name, role, created_at, revoked_at}, ...]} */
+router.get("/", async function (req, res, next) {
+    //  route returns every api key, revoked keys included. The keys themselves are
+    //   never returned -- only their hashes are stored.
+
+    const results = await listKeys();
+
+    if (results.success) {
+        return res.json({ api_keys: results.sqlReturn });
+    } else {
+        return next(dbError(results.error.message));
+    }
+
+});
+
+
+/** POST {/api-keys}/ ; return {api_key: {id, name, role, created_at, revoked_at, key}} */
+router.post("/", validate(API_KEY_CREATE), async function (req, res, next) {
+    //  route issues a new api key for JSON inputs name and role ('read' or 'admin').
+    //  key in the response is the only time the key is shown -- it cannot be
+    //   looked up later.
+
+    const resultsIssue = await issueKey(req.body.name, req.body.role);
+
+    if (resultsIssue.success) {
+        return res.json({ api_key: resultsIssue.sqlReturn });
+    } else {
+        return next(dbError(resultsIssue.error.message));
+    }
+
+});
+
+
+/** DELETE {/api-keys}/[id] ; return {api_key: {id, name, role, created_at, revoked_at}} */
+router.delete("/:id", validate(API_KEY_REVOKE), async function (req, res, next) {
+    //  route revokes the api key specified by id. Requests with a revoked key get a
+    //   401 from then on.
+    //  404 is returned when the key id was not found.
+
+    const resultsRevoke = await revokeKey(req.params.id);
+
+    if (resultsRevoke.success) {
+        return res.json({ api_key: resultsRevoke.sqlReturn });
+    } else {
+        if (resultsRevoke.error.message === "not found") {
+            const errorRevoke = new Error(`Api key '${req.params.id}' was not found.`);
+            errorRevoke.status = 404;
+            return next(errorRevoke);
+        } else {
+            return next(dbError(resultsRevoke.error.message));
+        }
+    }
+
+});
+
+
+module.exports = router;
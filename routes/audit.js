@@ -0,0 +1,73 @@
+/** Routes for the audit trail of BizTime. */
+
+const express = require("express");
+const { dbSelectPage } = require("../dbFunctions");
+const { parseListQuery, nextPageLink } = require("../listQuery");
+const { dbError } = require("../problem");
+const router = express.Router();
+
+// filters and sorts allowed on GET /audit.
+const AUDIT_LIST_OPTIONS = {
+    filters: {
+        table: { column: "table_name", op: "=", type: "text" },
+        record: { column: "record_pk", op: "=", type: "text" },
+        action: { column: "action", op: "=", type: "text" },
+        actor: { column: "actor", op: "=", type: "text" },
+        changed_from: { column: "changed_at", op: ">=", type: "date" },
+        changed_before: { column: "changed_at", op: "<", type: "date" }
+    },
+    sortFields: ["id", "changed_at"],
+    defaultSort: "id ASC"
+}
+
+
+/** GET {/audit}/ ; return {audit: [{id, table_name, record_pk, action, before_data, after_data, actor, changed_at}, ...], total, limit, offset, next} */
+router.get("/", async function (req, res, next) {
+    //  route returns one page of the audit trail -- a row for every insert, update
+    //   and delete, oldest first, with the record before and after the change.
+    //
+    //  query string (all optional):
+    //      limit, offset   page size (default 50) and rows to skip
+    //      sort            id or changed_at; '-' in front sorts descending
+    //      table           table name, ie. invoices
+    //      record          primary key of the record, ie. 3 for invoice 3. A record
+    //                       with a key of several columns joins them with ',',
+    //                       ie. apple,tech in companies_industries
+    //      action          insert, update or delete
+    //      actor           who made the change
+    //      changed_from    changes on or after this date (YYYY-MM-DD)
+    //      changed_before  changes before this date (YYYY-MM-DD)
+    //
+    //  return:
+    //      {audit: [{id, table_name, record_pk, action, before_data, after_data,
+    //                actor, changed_at}, ...], total, limit, offset, next}
+
+    const listQuery = parseListQuery(req.query, AUDIT_LIST_OPTIONS);
+    if (listQuery.success === false) {
+        const errorValidation = new Error(listQuery.error);
+        errorValidation.status = 400;
+        return next(errorValidation);
+    }
+
+    const selectData = {
+        ...listQuery,
+        selectFields: "*"
+    }
+    const results = await dbSelectPage(selectData, "audit_log");
+
+    if (results.success) {
+        return res.json({
+            audit: results.sqlReturn,
+            total: results.total,
+            limit: listQuery.limit,
+            offset: listQuery.offset,
+            next: nextPageLink(req, listQuery.limit, listQuery.offset, results.total)
+        });
+    } else {
+        return next(dbError(results.error.message));
+    }
+
+});
+
+
+module.exports = router;
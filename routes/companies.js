@@ -3,147 +3,493 @@
 const db = require("../db");
 const express = require("express");
 const ExpressError = require("../expressError");
-const { prepareInsertData, prepareUpdateData } = require("../helperFx");
-const { dbDelete, dbInsert, dbSelect, dbUpdate } = require("../dbFunctions");
+const { dbDelete, dbInsert, dbSelect, dbSelectPage, dbTransaction, dbUpdate } = require("../dbFunctions");
+const { agingBucket, emptyAging, invoiceBalancesSql } = require("../aging");
+const { DEFAULT_CURRENCY } = require("../config");
+const { importRows, readCsvRows, sendCsv, toCsv, wantsCsv } = require("../csv");
+const { parseListQuery, nextPageLink } = require("../listQuery");
+const { withStatus } = require("../invoiceStatus");
+const { fromCents, missingRateError, toCents } = require("../money");
+const { matchCriteria, sendTagged, writeNotFound } = require("../etag");
+const { dbError } = require("../problem");
+const { CODE_PATTERN, CURRENCY_PATTERN, validate, argumentsFrom } = require("../validation");
 const { response } = require("express");
 const router = express.Router();
 
+// filters and sorts allowed on GET /companies.
+const COMPANY_LIST_OPTIONS = {
+    filters: {
+        name: { column: "name", op: "ILIKE", type: "text" }
+    },
+    sortFields: ["code", "name"],
+    defaultSort: "code ASC"
+}
+
+// request schemas, see validate in validation.js.
+const COMPANY_FIELDS = {
+    code: {
+        type: "string", required: true, maxLength: 50, pattern: CODE_PATTERN,
+        patternMessage: "must be lower case letters, digits, '-' or '_'"
+    },
+    name: { type: "string", required: true, maxLength: 100 },
+    description: { type: "string", nullable: true, maxLength: 1000 },
+    payment_terms_days: { type: "integer", min: 0, max: 365 }
+}
+
+const COMPANY_CREATE = {
+    body: COMPANY_FIELDS
+}
+
+// the columns of a CSV export of GET /companies.
+const COMPANY_CSV_FIELDS = ["code", "name", "description", "payment_terms_days"];
+
+const COMPANY_UPDATE = {
+    body: {
+        name: COMPANY_FIELDS.name,
+        description: { ...COMPANY_FIELDS.description, required: true },
+        payment_terms_days: COMPANY_FIELDS.payment_terms_days
+    }
+}
+
+// a JSON Merge Patch -- null clears description; code renames the company.
+const COMPANY_PATCH = {
+    body: {
+        code: { ...COMPANY_FIELDS.code, required: false },
+        name: { ...COMPANY_FIELDS.name, required: false },
+        description: COMPANY_FIELDS.description,
+        payment_terms_days: COMPANY_FIELDS.payment_terms_days
+    },
+    minBodyFields: 1
+}
+
+// the fields of a company returned by PUT and PATCH.
+const COMPANY_RETURN_FIELDS = "code, name, description, payment_terms_days";
+
+// the foreign keys on a company code, deferred while a code changes; each table
+//  is moved to the new code (see the 015 migration).
+const COMPANY_CODE_REFERENCES = {
+    invoices: "invoices_comp_code_fkey",
+    companies_industries: "companies_industries_comp_code_fkey",
+    recurring_invoices: "recurring_invoices_comp_code_fkey"
+}
+
+const COMPANY_READ = {
+    query: {
+        include_deleted: { type: "boolean" }
+    }
+}
+
+const COMPANY_STATEMENT = {
+    query: {
+        from: { type: "date" },
+        to: { type: "date" },
+        currency: {
+            type: "string", pattern: CURRENCY_PATTERN,
+            patternMessage: "must be a 3 letter currency code, ie. USD"
+        }
+    }
+}
 
-/** GET {/companies}/ ; return{companies: [{code, name}, ...]} */
-router.get("/", async function (req, res, next) {
+const COMPANY_DELETE = {
+    query: {
+        purge: { type: "boolean" }
+    }
+}
+
+
+/** GET {/companies}/ ; return{companies: [{code, name}, ...], total, limit, offset, next} */
+router.get("/", validate(COMPANY_READ), async function (req, res, next) {
+    //  route gets and returns one page of companies.
+    //
+    //  query string (all optional):
+    //      limit, offset   page size (default 50) and rows to skip
+    //      sort            code or name; '-' in front sorts descending, ie. sort=-name
+    //      name            part of the company name, case insensitive
+    //      include_deleted true to list deleted companies too, with their deleted_at
+    //
+    //  return:
+    //      {companies: [{code, name}, ...], total, limit, offset, next}
+    //      next is the url of the next page or null on the last page.
+    //
+    //  With Accept: text/csv the page is returned as CSV with code, name and
+    //   description columns. The total is in the X-Total-Count header and the
+    //   next page in the Link header.
+
+    const listQuery = parseListQuery(req.query, COMPANY_LIST_OPTIONS);
+    if (listQuery.success === false) {
+        const errorValidation = new Error(listQuery.error);
+        errorValidation.status = 400;
+        return next(errorValidation);
+    }
 
-    try {
-        const results = await db.query(
-            `SELECT code, name FROM companies`);
-        return res.json({ companies: results.rows });
+    const csvFields = [...COMPANY_CSV_FIELDS];
+    const selectData = {
+        ...listQuery,
+        selectFields: "code, name"
+    }
+    if (req.query.include_deleted) {
+        selectData.selectFields = "code, name, deleted_at";
+        csvFields.push("deleted_at");
+    } else {
+        selectData.criteria.deleted_at = null;
+    }
+    if (wantsCsv(req)) {
+        selectData.selectFields = `${csvFields}`;
+    }
+    const results = await dbSelectPage(selectData, "companies");
 
-    } catch (error) {
-        return next(error);
+    if (results.success && wantsCsv(req)) {
+        const nextPage = nextPageLink(req, listQuery.limit, listQuery.offset, results.total);
+        res.set("X-Total-Count", `${results.total}`);
+        if (nextPage !== null) {
+            res.links({ next: nextPage });
+        }
+        return sendCsv(res, "companies.csv", toCsv(csvFields, results.sqlReturn));
+    } else if (results.success) {
+        return res.json({
+            companies: results.sqlReturn,
+            total: results.total,
+            limit: listQuery.limit,
+            offset: listQuery.offset,
+            next: nextPageLink(req, listQuery.limit, listQuery.offset, results.total)
+        });
+    } else {
+        return next(dbError(results.error.message));
     }
 
 });
 
-/** GET {/companies}/[code] ; return {company: {code, name, description}} **/
-router.get("/:code", async function (req, res, next) {
+/** GET {/companies}/[code] ; return {company: {code, name, description, payment_terms_days, invoices, industries}} **/
+router.get("/:code", validate(COMPANY_READ), async function (req, res, next) {
+    // A deleted company is not found unless include_deleted=true is on the query
+    //  string. Its deleted invoices are only listed with include_deleted=true too.
+    // invoices are [{id, amt, currency, paid, due_date, status}, ...].
+    // The ETag header is the version of the company (see etag.js); If-None-Match
+    //  with it is answered 304 while nothing returned has changed.
 
     const inCode = req.params.code;
+    const includeDeleted = req.query.include_deleted === true;
 
     try {
         const results = await db.query(
-            `SELECT code, name, description 
+            `SELECT code, name, description, payment_terms_days, deleted_at, version 
             FROM companies 
-            WHERE code = $1`, [inCode]
+            WHERE code = $1 
+                AND ($2 OR deleted_at IS NULL)`, [inCode, includeDeleted]
         );
 
         if (results.rows.length > 0) {
+            if (includeDeleted === false) {
+                delete results.rows[0].deleted_at;
+            }
+
             // get the invoices for the company.
             const selectData = {
-                criteria: 'comp_code = $1',
-                criteriaValues: [inCode],
-                selectFields: "id, amt"
+                criteria: { comp_code: inCode },
+                selectFields: "id, amt, currency, paid, due_date"
+            }
+            if (includeDeleted) {
+                selectData.selectFields = `${selectData.selectFields}, deleted_at`;
+            } else {
+                selectData.criteria.deleted_at = null;
             }
 
             const resultsInvoices = await dbSelect(selectData, "invoices");
             if (resultsInvoices.success) {
-                results.rows[0]["invoices"] = resultsInvoices.sqlReturn;
+                results.rows[0]["invoices"] = withStatus(resultsInvoices.sqlReturn);
             }
 
+            // get the industries the company is associated with.
+            const resultsIndustries = await db.query(
+                `SELECT i.industry 
+                FROM industries AS i 
+                    JOIN companies_industries AS ci ON ci.ind_code = i.code 
+                WHERE ci.comp_code = $1 
+                ORDER BY i.industry`, [inCode]
+            );
+            results.rows[0]["industries"] = resultsIndustries.rows.map(row => row.industry);
+
+            const { version, ...company } = results.rows[0];
+            return sendTagged(res, version, { company: company });
+        } else {
+            let errorNotFound = new Error(`A company was not found for code '${inCode}'.`);
+            errorNotFound.status = 404;
+            throw errorNotFound;
+        }
 
+    } catch (error) {
+        return next(error)
+    }
 
+});
 
 
+/** GET {/companies}/[code]/statement ; return {statement: {company, from, to, currency, totals, aging, invoices}} **/
+router.get("/:code/statement", validate(COMPANY_STATEMENT), async function (req, res, next) {
+    //  route returns the account statement of a company.
+    //
+    //  query string (all optional):
+    //      from, to    only invoices added in this range (YYYY-MM-DD), inclusive.
+    //                  The balances are as of to, or today when to is not given.
+    //      currency    the reporting currency of totals and aging (default
+    //                  BIZTIME_DEFAULT_CURRENCY, see config.js). Amounts are
+    //                  converted at the exchange rates in effect on the as-of date.
+    //
+    //  return:
+    //      {statement: {
+    //          company: {code, name},
+    //          from, to, currency,
+    //          totals: {billed, paid, outstanding},                // in currency
+    //          aging: {current, "1-30", "31-60", "61-90", "90+"},  // outstanding, in currency
+    //          invoices: [{id, currency, amt, add_date, due_date, paid_date, paid_total,
+    //                      outstanding, days_outstanding, days_overdue, status,
+    //                      aging_bucket}, ...]  // in their own currency
+    //      }}
+    //      status is open, overdue or paid as of the as-of date. aging_bucket is
+    //       null for a paid invoice.
+    //
+    //  '404' is returned when the company is not found and '422' when an invoice
+    //   currency has no exchange rate to currency.
 
+    const code = req.params.code;
+    const from = req.query.from || null;
+    const to = req.query.to || null;
+    const currency = req.query.currency || DEFAULT_CURRENCY;
 
-            return res.json({ company: results.rows[0] });
-        } else {
-            let errorNotFound = new Error(`A company was not found for code '${inCode}'.`);
-            errorNotFound.status = 404;
-            throw errorNotFound;
+    if (from !== null && to !== null && from > to) {
+        const errorValidation = new ExpressError("from must be on or before to.", 400);
+        errorValidation.field = "from";
+        return next(errorValidation);
+    }
+
+    try {
+        const resultsCompany = await db.query(
+            `SELECT code, name FROM companies WHERE code = $1 AND deleted_at IS NULL`, [code]);
+        if (resultsCompany.rows.length === 0) {
+            throw new ExpressError(`A company was not found for code '${code}'.`, 404);
         }
 
+        const resultsInvoices = await db.query(
+            `SELECT b.id, b.currency, b.amt, b.add_date, b.due_date, b.paid_date, b.paid_total,
+                b.outstanding, b.days_outstanding, b.days_overdue,
+                b.amt_converted, b.paid_converted, b.outstanding_converted
+            FROM ${invoiceBalancesSql("$2", "$4")}
+            WHERE b.comp_code = $1
+                AND ($3::date IS NULL OR b.add_date >= $3::date)
+            ORDER BY b.add_date, b.id`, [code, to, from, currency]
+        );
+
+        const missingRates = resultsInvoices.rows
+            .filter(row => row.amt_converted === null)
+            .map(row => row.currency);
+        if (missingRates.length > 0) {
+            throw missingRateError(missingRates, currency);
+        }
+
+        // totals are kept in cents so they add up exactly.
+        const totals = { billed: 0, paid: 0, outstanding: 0 };
+        const aging = emptyAging();
+
+        const invoices = resultsInvoices.rows.map(row => {
+            const { amt_converted, paid_converted, outstanding_converted, ...invoice } = row;
+
+            if (toCents(invoice.outstanding) <= 0) {
+                invoice.status = "paid";
+                invoice.aging_bucket = null;
+            } else {
+                invoice.status = (invoice.days_overdue > 0) ? "overdue" : "open";
+                invoice.aging_bucket = agingBucket(invoice.days_overdue);
+                aging[invoice.aging_bucket] += toCents(outstanding_converted);
+            }
+
+            totals.billed += toCents(amt_converted);
+            totals.paid += toCents(paid_converted);
+            totals.outstanding += toCents(outstanding_converted);
+            return invoice;
+        });
+
+        return res.json({
+            statement: {
+                company: resultsCompany.rows[0],
+                from: from,
+                to: to,
+                currency: currency,
+                totals: {
+                    billed: fromCents(totals.billed),
+                    paid: fromCents(totals.paid),
+                    outstanding: fromCents(totals.outstanding)
+                },
+                aging: Object.fromEntries(
+                    Object.entries(aging).map(([bucket, cents]) => [bucket, fromCents(cents)])),
+                invoices: invoices
+            }
+        });
+
     } catch (error) {
-        return next(error)
+        return next(error);
     }
 
 });
 
 
-/** POST {/companies}/ ; return new company object {company: {code, name, description}} **/
-router.post("/", async function (req, res, next) {
+/** POST {/companies}/ ; return new company object {company: {code, name, description, payment_terms_days}} **/
+router.post("/", validate(COMPANY_CREATE), async function (req, res, next) {
     // Route adds a new company is added by using JSON inputs for code, name, and description
-    // Returns new company object {company: {code, name, description}}
+    //  payment_terms_days is optional -- the days until its invoices are due (default 30).
+    // Returns new company object {company: {code, name, description, payment_terms_days}}
     // debugger
 
-    // make sure non-blank values exist for code and name.
-    // Order of requiredKeys in the list must match the order expected by the insert!!
-    const requiredKeys = ["code", "name"];
-    const resultsPreparation = prepareInsertData(requiredKeys, ["description"], req.body);
-    if (resultsPreparation.success === false) {
-        // An error occurred while validating the data when success is false.
-        // const errorValidation = new Error(resultsPreparation["error"]);
-        // bad request (400) -- required fields are missing.
-        const errorValidation = new Error(resultsPreparation.error);
-        errorValidation.status = 400;
-        return next(errorValidation);
-    }
+    // req.body was validated against COMPANY_CREATE -- code and name are not blank.
+    const insertData = argumentsFrom(["code", "name", "description", "payment_terms_days"], req.body);
 
-    const resultsInsert = await dbInsert(resultsPreparation.insertData, "companies");
+    const resultsInsert = await dbInsert(insertData, "companies");
 
     if (resultsInsert.success) {
         // successful insert - return results
         return res.json({ company: resultsInsert.sqlReturn });
     } else {
-        const errorInsert = new Error(resultsInsert.error.message);
-        errorInsert.status = 400;
-        return next(errorInsert);
+        return next(dbError(resultsInsert.error.message));
     }
 
 });
 
 
-/** PUT {/companies}/[code] ; return edited company object {company: {code, name, description}} **/
-router.put("/:code", async function (req, res, next) {
-    // Existing company idenified by code is upadated JSON inputs for name and description
-    // Returns edited company object {company: {code, name, description}} when successful or
-    //  404 / Company not found when the code was not found.
+/** POST {/companies}/import ; return {companies: [{code, name, description, payment_terms_days}, ...], imported} **/
+router.post("/import", express.text({ type: "text/csv", limit: "5mb" }), async function (req, res, next) {
+    // Adds the companies in a CSV body (Content-Type: text/csv) with a header line of
+    //  code, name and, optionally, description and payment_terms_days. Every row has to
+    //  be valid, the same as for POST /companies, and either every company is added or
+    //  none is.
+    // Returns {companies: [{code, name, description, payment_terms_days}, ...], imported: number added}
+    //  or a 400 listing every invalid row, by line, in errors.
 
-    // make sure non-blank values exist for code and name.
-    // Order of requiredKeys in the list must match the order expected by the insert!!
-    const requiredKeys = ["name", "description"];
-    const resultsPreparation = prepareUpdateData(requiredKeys, req.body);
+    if (typeof req.body !== "string") {
+        return next(new ExpressError("The body has to be CSV sent as Content-Type: text/csv.", 415));
+    }
 
-    if (resultsPreparation.success === false) {
-        // An error occurred while validating the data when success is false.
-        // bad request (400) -- fields are missing.
-        const errorValidation = new Error(resultsPreparation.error);
-        errorValidation.status = 400;
-        return next(errorValidation);
+    const resultsRead = readCsvRows(req.body, COMPANY_FIELDS);
+    if (resultsRead.success === false) {
+        return next(resultsRead.error);
+    }
+
+    const resultsImport = await importRows(resultsRead.rows, "companies", `${COMPANY_CSV_FIELDS}`);
+    if (resultsImport.success) {
+        return res.json({ companies: resultsImport.sqlReturn, imported: resultsImport.sqlReturn.length });
+    } else {
+        return next(resultsImport.error);
     }
 
-    // Update of a company is by the primary key 'code'. value is 
+});
+
+
+/** PUT {/companies}/[code] ; return edited company object {company: {code, name, description, payment_terms_days}} **/
+router.put("/:code", validate(COMPANY_UPDATE), async function (req, res, next) {
+    // Existing company idenified by code is upadated JSON inputs for name and description
+    //  and, optionally, payment_terms_days. New terms apply to invoices added after the
+    //  change; due dates already set stay as they are.
+    // With an If-Match header (the ETag of GET /companies/[code]) the company is only
+    //  changed when nobody changed it since; 412 is returned when they did.
+    // Returns edited company object {company: {code, name, description, payment_terms_days}},
+    //  with its new ETag, when successful or 404 / Company not found when the code was not found.
+
+    // req.body was validated against COMPANY_UPDATE -- name and description are present.
+    return updateCompany(req, res, next);
+
+});
+
+
+/** PATCH {/companies}/[code] ; return edited company object {company: {code, name, description, payment_terms_days}} **/
+router.patch("/:code", validate(COMPANY_PATCH), async function (req, res, next) {
+    // Changes the fields of the company in a JSON Merge Patch (RFC 7396) body -- any of
+    //  code, name, description and payment_terms_days. Fields left out stay as they are;
+    //  description: null clears it.
+    // A new code renames the company. Its invoices, industries and recurring invoices
+    //  move to the new code in the same transaction; 409 is returned when the code is
+    //  taken. If-Match works as for PUT.
+    // Returns the edited company object {company: {code, name, description, payment_terms_days}},
+    //  with its new ETag, or 404 / Company not found when the code was not found.
+
+    return updateCompany(req, res, next);
+
+});
+
+
+async function updateCompany(req, res, next) {
+    // PUT and PATCH /companies/[code] -- see the routes. req.body is validated.
+
+    const code = req.params.code;
+    const newCode = (req.body.code !== undefined && req.body.code !== code) ? req.body.code : undefined;
+
+    const updateData = argumentsFrom(["code", "name", "description", "payment_terms_days"], req.body);
+
+    // Update of a company is by the primary key 'code'. A deleted company is not found.
     const criteria = {
         pk: "code",
-        value: req.params.code
+        value: code,
+        criteria: { deleted_at: null, ...matchCriteria(req) }
     }
-    const resultsUpdate = await dbUpdate(criteria, resultsPreparation.updateData, "companies");
 
-    if (resultsUpdate.success) {
+    // the company is read back in the same transaction, so its version is the one of this update.
+    const results = await dbTransaction(async function (client) {
+        if (newCode !== undefined) {
+            await client.query(`SET CONSTRAINTS ${Object.values(COMPANY_CODE_REFERENCES).join(", ")} DEFERRED`);
+        }
+
+        const resultsUpdate = await dbUpdate(criteria, updateData, "companies", client);
+        if (resultsUpdate.success === false) {
+            throw resultsUpdate.error.message;
+        }
+
+        if (newCode !== undefined) {
+            await moveCompanyReferences(client, code, newCode);
+        }
+
+        const resultsCompany = await dbSelect({
+            criteria: { code: newCode || code },
+            selectFields: `${COMPANY_RETURN_FIELDS}, version`
+        }, "companies", client);
+        if (resultsCompany.success === false) {
+            throw resultsCompany.error.message;
+        }
+        return resultsCompany.sqlReturn;
+    });
+
+    if (results.success) {
         // successful update - return results
-        return res.json({ company: resultsUpdate.sqlReturn });
+        const { version, ...company } = results.sqlReturn;
+        return sendTagged(res, version, { company: company });
     } else {
-        if (resultsUpdate.error.message === "not found") {
-            const errorUpdate = new Error(`A company was not found for code '${req.params.code}'.`);
+        if (results.error.message === "not found") {
+            const errorUpdate = new Error(`A company was not found for code '${code}'.`);
             errorUpdate.status = 404;
-            return next(errorUpdate);
+            return next(await writeNotFound(req, "companies", { code: code, deleted_at: null }, errorUpdate));
         } else {
-            const errorUpdate = new Error(resultsUpdate.error.message);
-            errorUpdate.status = 400;
-            return next(errorUpdate);
+            return next(dbError(results.error.message));
         }
 
     }
 
-});
+}
+
+
+async function moveCompanyReferences(client, code, newCode) {
+    /*  moveCompanyReferences points every row that references company code -- its
+         invoices, deleted ones too, industries and recurring invoices -- at newCode,
+         through dbUpdate so each move is in the audit log.
+        Errors are thrown so the transaction the client belongs to rolls back.
+    */
+
+    for (const table of Object.keys(COMPANY_CODE_REFERENCES)) {
+        const resultsUpdate = await dbUpdate(
+            { pk: "comp_code", value: code },
+            { argumentsName: ["comp_code"], argumentsValues: [newCode] },
+            table, client);
+        if (resultsUpdate.success === false && resultsUpdate.error.message !== "not found") {
+            throw resultsUpdate.error.message;
+        }
+    }
+
+}
 
 
 // /** PUT {/companies}/[code] ; return edited company object {company: {code, name, description}} **/
@@ -175,37 +521,179 @@ router.put("/:code", async function (req, res, next) {
 
 
 /** DELETE {/companies}/[code] ; return deleted message {company: {status: "deleted"}} **/
-router.delete("/:code", async function (req, res, next) {
-    // Deletes a company idenified by code.
-    // Returns {company: {status: "deleted"}} upon successful deletion or
+router.delete("/:code", validate(COMPANY_DELETE), async function (req, res, next) {
+    // Deletes a company idenified by code. The company and its invoices are marked
+    //  deleted (deleted_at) and can be brought back with POST /companies/[code]/restore.
+    // ?purge=true removes a company that was already deleted, and all its invoices,
+    //  for good. 409 is returned when the company has not been deleted first.
+    // With an If-Match header the company is only deleted (or purged) at that version;
+    //  412 is returned when it was changed since.
+    // Returns {status: "deleted"} / {status: "purged"} upon success or
     //  404 / Company not found when the code was not found.
 
     const code = req.params.code;
-    const deleteData = {
-        criteria: "code=$1",
-        criteriaValues: [code],
-        argumentsName: "code, name, description",
+
+    if (req.query.purge) {
+        return purgeCompany(req, res, next);
     }
-    const resultsDelete = await dbDelete(deleteData, "companies");
 
-    if (resultsDelete.success) {
-        // return res.json({ deleted: resultsDelete.deleted });
-        return res.json(resultsDelete.message);
+    // the company and its invoices are deleted as of the same time so a restore
+    //  brings back exactly the invoices deleted with the company.
+    const deletedAt = new Date();
+
+    const results = await dbTransaction(async function (client) {
 
+        const resultsCompany = await dbUpdate(
+            { pk: "code", value: code, criteria: { deleted_at: null, ...matchCriteria(req) } },
+            { argumentsName: ["deleted_at"], argumentsValues: [deletedAt] },
+            "companies", client);
+        if (resultsCompany.success === false) {
+            throw resultsCompany.error.message;
+        }
+
+        await setInvoicesDeletedAt(client, { comp_code: code, deleted_at: null }, deletedAt);
+    });
+
+    if (results.success) {
+        return res.json({ status: "deleted" });
+    } else if (results.error.message === "not found") {
+        const errorDelete = new Error(`A company was not found for code '${code}'.`);
+        errorDelete.status = 404;
+        return next(await writeNotFound(req, "companies", { code: code, deleted_at: null }, errorDelete));
     } else {
-        if (resultsDelete.error.message === "not found") {
+        return next(dbError(results.error.message));
+    }
+
+});
+
+
+async function purgeCompany(req, res, next) {
+    // DELETE /companies/[code]?purge=true -- see the DELETE route.
+
+    const code = req.params.code;
+
+    const resultsCompany = await dbSelect(
+        { criteria: { code: code }, selectFields: "code, deleted_at" }, "companies");
+    if (resultsCompany.success === false) {
+        if (resultsCompany.error.message === "not found") {
             const errorDelete = new Error(`A company was not found for code '${code}'.`);
             errorDelete.status = 404;
             return next(errorDelete);
-        } else {
-            const errorDelete = new Error(resultsDelete.error.message);
-            errorDelete.status = 400;
-            return next(errorDelete);
+        }
+        return next(dbError(resultsCompany.error.message));
+    }
+    if (resultsCompany.sqlReturn.deleted_at === null) {
+        const errorDelete = new Error(
+            `Company '${code}' has to be deleted before it can be purged.`);
+        errorDelete.status = 409;
+        return next(errorDelete);
+    }
+
+    // invoices are deleted first so each one is in the audit log -- the cascade on
+    //  the companies foreign key would remove them without a trace.
+    const results = await dbTransaction(async function (client) {
+        const resultsInvoices = await dbDelete(
+            { criteria: { comp_code: code }, argumentsName: "id" }, "invoices", client);
+        if (resultsInvoices.success === false && resultsInvoices.error.message !== "not found") {
+            throw resultsInvoices.error.message;
         }
 
+        const resultsDelete = await dbDelete(
+            { criteria: { code: code, deleted_at: { "<>": null }, ...matchCriteria(req) }, argumentsName: "code" },
+            "companies", client);
+        if (resultsDelete.success === false) {
+            throw resultsDelete.error.message;
+        }
+    });
+
+    if (results.success) {
+        return res.json({ status: "purged" });
+    } else if (results.error.message === "not found") {
+        // the company was there a moment ago -- its version did not match If-Match.
+        const errorDelete = new Error(`A company was not found for code '${code}'.`);
+        errorDelete.status = 404;
+        return next(await writeNotFound(req, "companies", { code: code }, errorDelete));
+    } else {
+        return next(dbError(results.error.message));
+    }
+
+}
+
+
+/** POST {/companies}/[code]/restore ; return restored company object {company: {code, name, description}} **/
+router.post("/:code/restore", async function (req, res, next) {
+    // Brings back a deleted company along with the invoices that were deleted with it.
+    //  Invoices deleted on their own before the company stay deleted.
+    // 404 is returned when there is no deleted company for the code.
+
+    const code = req.params.code;
+
+    const results = await dbTransaction(async function (client) {
+
+        const resultsCompany = await dbSelect(
+            { criteria: { code: code, deleted_at: { "<>": null } }, selectFields: "code, deleted_at" },
+            "companies", client);
+        if (resultsCompany.success === false) {
+            throw resultsCompany.error.message;
+        }
+
+        const resultsRestore = await dbUpdate(
+            { pk: "code", value: code },
+            { argumentsName: ["deleted_at"], argumentsValues: [null] },
+            "companies", client);
+        if (resultsRestore.success === false) {
+            throw resultsRestore.error.message;
+        }
+
+        await setInvoicesDeletedAt(client,
+            { comp_code: code, deleted_at: resultsCompany.sqlReturn.deleted_at }, null);
+
+        const resultsRestored = await dbSelect(
+            { criteria: { code: code }, selectFields: "code, name, description" }, "companies", client);
+        return resultsRestored.sqlReturn;
+    });
+
+    if (results.success) {
+        return res.json({ company: results.sqlReturn });
+    } else if (results.error.message === "not found") {
+        const errorRestore = new Error(`A deleted company was not found for code '${code}'.`);
+        errorRestore.status = 404;
+        return next(errorRestore);
+    } else {
+        return next(dbError(results.error.message));
     }
 
 });
 
 
+async function setInvoicesDeletedAt(client, criteria, deletedAt) {
+    /*  setInvoicesDeletedAt sets deleted_at on every invoice that matches criteria
+         (see where in sqlBuilder.js), one invoice at a time through dbUpdate so each
+         change is in the audit log. null restores the invoices.
+        Errors are thrown so the transaction the client belongs to rolls back.
+    */
+
+    const resultsInvoices = await dbSelect({ criteria: criteria, selectFields: "id" }, "invoices", client);
+    if (resultsInvoices.success === false) {
+        if (resultsInvoices.error.message === "not found") {
+            return;
+        }
+        throw resultsInvoices.error.message;
+    }
+
+    // dbSelect returns a single row as an object rather than a list.
+    const invoices = [].concat(resultsInvoices.sqlReturn);
+    for (const invoice of invoices) {
+        const resultsUpdate = await dbUpdate(
+            { pk: "id", value: invoice.id },
+            { argumentsName: ["deleted_at"], argumentsValues: [deletedAt] },
+            "invoices", client);
+        if (resultsUpdate.success === false) {
+            throw resultsUpdate.error.message;
+        }
+    }
+
+}
+
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,133 @@
+/** Routes for exchange rates of BizTime.
+ *
+ *  A rate converts from_currency to to_currency from its effective_date until a
+ *  later rate for the pair. Totals in a reporting currency use the rate for the
+ *  pair either way round (see convert_amount in the 007 migration).
+ */
+
+const express = require("express");
+const { dbDelete, dbInsert, dbSelectPage } = require("../dbFunctions");
+const { parseListQuery, nextPageLink } = require("../listQuery");
+const { dbError } = require("../problem");
+const { CURRENCY_PATTERN, validate, argumentsFrom } = require("../validation");
+const router = express.Router();
+
+// filters and sorts allowed on GET /exchange-rates.
+const RATE_LIST_OPTIONS = {
+    filters: {
+        from_currency: { column: "from_currency", op: "=", type: "text" },
+        to_currency: { column: "to_currency", op: "=", type: "text" },
+        effective_from: { column: "effective_date", op: ">=", type: "date" },
+        effective_to: { column: "effective_date", op: "<=", type: "date" }
+    },
+    sortFields: ["id", "effective_date"],
+    defaultSort: "effective_date DESC"
+}
+
+// request schemas, see validate in validation.js.
+const CURRENCY = {
+    type: "string", required: true, pattern: CURRENCY_PATTERN,
+    patternMessage: "must be a 3 letter currency code, ie. USD"
+}
+
+const RATE_CREATE = {
+    body: {
+        from_currency: CURRENCY,
+        to_currency: CURRENCY,
+        rate: { type: "number", required: true, greaterThan: 0, max: 9999999999, maxDecimals: 8 },
+        effective_date: { type: "date" }
+    }
+}
+
+const RATE_DELETE = {
+    params: {
+        id: { type: "integer", required: true, min: 1 }
+    }
+}
+
+const RATE_FIELDS = "id, from_currency, to_currency, rate, effective_date";
+
+
+/** GET {/exchange-rates}/ ; return {exchange_rates: [{id, from_currency, to_currency, rate, effective_date}, ...], total, limit, offset, next} */
+router.get("/", async function (req, res, next) {
+    //  route returns one page of exchange rates, latest first.
+    //
+    //  query string (all optional):
+    //      limit, offset                   page size (default 50) and rows to skip
+    //      sort                            id or effective_date; '-' in front sorts
+    //                                       descending
+    //      from_currency, to_currency      currency codes, ie. EUR
+    //      effective_from, effective_to    effective_date range (YYYY-MM-DD), inclusive
+
+    const listQuery = parseListQuery(req.query, RATE_LIST_OPTIONS);
+    if (listQuery.success === false) {
+        const errorValidation = new Error(listQuery.error);
+        errorValidation.status = 400;
+        return next(errorValidation);
+    }
+
+    const selectData = {
+        ...listQuery,
+        selectFields: RATE_FIELDS
+    }
+    const results = await dbSelectPage(selectData, "exchange_rates");
+
+    if (results.success) {
+        return res.json({
+            exchange_rates: results.sqlReturn,
+            total: results.total,
+            limit: listQuery.limit,
+            offset: listQuery.offset,
+            next: nextPageLink(req, listQuery.limit, listQuery.offset, results.total)
+        });
+    } else {
+        return next(dbError(results.error.message));
+    }
+
+});
+
+
+/** POST {/exchange-rates}/ ; return {exchange_rate: {id, from_currency, to_currency, rate, effective_date}} */
+router.post("/", validate(RATE_CREATE), async function (req, res, next) {
+    //  route adds a rate: 1 from_currency = rate to_currency. effective_date is
+    //   optional and defaults to today. A pair has one rate per effective_date --
+    //   409 is returned for a second one.
+
+    const insertData = argumentsFrom(["from_currency", "to_currency", "rate", "effective_date"], req.body);
+
+    const resultsInsert = await dbInsert(insertData, "exchange_rates", RATE_FIELDS);
+
+    if (resultsInsert.success) {
+        return res.json({ exchange_rate: resultsInsert.sqlReturn });
+    } else {
+        return next(dbError(resultsInsert.error.message));
+    }
+
+});
+
+
+/** DELETE {/exchange-rates}/[id] ; return {deleted: [{id, from_currency, to_currency, rate, effective_date}]} */
+router.delete("/:id", validate(RATE_DELETE), async function (req, res, next) {
+    //  route removes a rate entered by mistake. Totals computed afterwards use the
+    //   rate in effect before it.
+
+    const deleteData = {
+        criteria: { id: req.params.id },
+        argumentsName: RATE_FIELDS
+    }
+    const resultsDelete = await dbDelete(deleteData, "exchange_rates");
+
+    if (resultsDelete.success) {
+        return res.json({ deleted: resultsDelete.deleted });
+    } else if (resultsDelete.error.message === "not found") {
+        const errorDelete = new Error(`An exchange rate was not found for id '${req.params.id}'.`);
+        errorDelete.status = 404;
+        return next(errorDelete);
+    } else {
+        return next(dbError(resultsDelete.error.message));
+    }
+
+});
+
+
+module.exports = router;
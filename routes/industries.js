@@ -0,0 +1,127 @@
+/** Routes for industries of BizTime. */
+
+const db = require("../db");
+const express = require("express");
+const { dbInsert, dbSelect } = require("../dbFunctions");
+const { dbError } = require("../problem");
+const { CODE_PATTERN, validate, argumentsFrom } = require("../validation");
+const router = express.Router();
+
+// request schemas, see validate in validation.js.
+const INDUSTRY_CREATE = {
+    body: {
+        code: {
+            type: "string", required: true, maxLength: 50, pattern: CODE_PATTERN,
+            patternMessage: "must be lower case letters, digits, '-' or '_'"
+        },
+        industry: { type: "string", required: true, maxLength: 100 }
+    }
+}
+
+const INDUSTRY_COMPANY = {
+    body: {
+        comp_code: { type: "string", required: true, maxLength: 50 }
+    }
+}
+
+
+/** GET {/industries}/ ; return {industries: [{code, industry, companies: [code, ...]}, ...]} */
+router.get("/", async function (req, res, next) {
+    //  route gets and returns all industries along with the codes of the companies
+    //   associated with each industry. An industry without companies has an empty
+    //   companies list. Deleted companies are left out.
+    //
+    //  return:
+    //      {industries: [{code, industry, companies: [code, ...]}, ...]}
+
+    try {
+        const results = await db.query(`
+            SELECT i.code, i.industry,
+                COALESCE(
+                    ARRAY_AGG(ci.comp_code ORDER BY ci.comp_code)
+                        FILTER (WHERE ci.comp_code IS NOT NULL),
+                    '{}'
+                ) AS companies
+            FROM industries AS i
+                LEFT JOIN companies_industries AS ci ON ci.ind_code = i.code
+                    AND ci.comp_code IN (SELECT code FROM companies WHERE deleted_at IS NULL)
+            GROUP BY i.code, i.industry
+            ORDER BY i.code
+        `);
+        return res.json({ industries: results.rows });
+
+    } catch (error) {
+        return next(error);
+    }
+
+});
+
+
+/** POST {/industries}/ ; return new industry object {industry: {code, industry}} **/
+router.post("/", validate(INDUSTRY_CREATE), async function (req, res, next) {
+    // Route adds a new industry by using JSON inputs for code and industry.
+    // Returns new industry object {industry: {code, industry}}
+
+    // req.body was validated against INDUSTRY_CREATE.
+    const insertData = argumentsFrom(["code", "industry"], req.body);
+
+    const resultsInsert = await dbInsert(insertData, "industries");
+
+    if (resultsInsert.success) {
+        return res.json({ industry: resultsInsert.sqlReturn });
+    } else {
+        return next(dbError(resultsInsert.error.message));
+    }
+
+});
+
+
+/** POST {/industries}/[code]/companies ; return {company_industry: {comp_code, ind_code}} **/
+router.post("/:code/companies", validate(INDUSTRY_COMPANY), async function (req, res, next) {
+    /*  Route associates the company named by comp_code in the JSON body with the
+         industry in the url.
+        Returns:
+         {company_industry: {comp_code, ind_code}}
+
+        '404' is returned when either the industry or the company is not found.
+    */
+
+    const indCode = req.params.code;
+
+    const compCode = req.body.comp_code;
+
+    // both sides of the association need to exist.
+    const resultsIndustry = await dbSelect(
+        { criteria: { code: indCode }, selectFields: "code" },
+        "industries");
+    if (resultsIndustry.success === false) {
+        const errorSelect = new Error(`An industry was not found for code '${indCode}'.`);
+        errorSelect.status = 404;
+        return next(errorSelect);
+    }
+
+    const resultsCompany = await dbSelect(
+        { criteria: { code: compCode, deleted_at: null }, selectFields: "code" },
+        "companies");
+    if (resultsCompany.success === false) {
+        const errorSelect = new Error(`A company was not found for code '${compCode}'.`);
+        errorSelect.status = 404;
+        return next(errorSelect);
+    }
+
+    const insertData = {
+        argumentsName: "comp_code, ind_code",
+        argumentsValues: [compCode, indCode]
+    }
+    const resultsInsert = await dbInsert(insertData, "companies_industries");
+
+    if (resultsInsert.success) {
+        return res.json({ company_industry: resultsInsert.sqlReturn });
+    } else {
+        return next(dbError(resultsInsert.error.message));
+    }
+
+});
+
+
+module.exports = router;
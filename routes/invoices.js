@@ -3,222 +3,1660 @@
 const db = require("../db");
 const express = require("express");
 const ExpressError = require("../expressError");
-const { checkNumbers, prepareInsertData, prepareUpdateData } = require("../helperFx");
-const { dbSelect, dbSelectAll, dbDelete, dbInsert, dbUpdate } = require("../dbFunctions");
+const { dbSelect, dbSelectPage, dbDelete, dbInsert, dbTransaction, dbUpdate } = require("../dbFunctions");
+const { BUSINESS, DEFAULT_CURRENCY } = require("../config");
+const { importRows, readCsvRows, rowErrors, sendCsv, toCsv, wantsCsv } = require("../csv");
+const { ITEM_FIELDS, ITEM_INPUT_FIELDS, applyItemsTotal, insertItems, invoiceBreakdown, itemsTotal } =
+    require("../invoiceItems");
+const { renderInvoicePdf } = require("../invoicePdf");
+const { INVOICE_STATUSES, dueDate, invoiceStatus, statusCriteria, today, withStatus } = require("../invoiceStatus");
+const { parseListQuery, nextPageLink } = require("../listQuery");
+const { paidTotalSql } = require("../aging");
+const { fromCents, invoiceTotals, toCents } = require("../money");
+const { matchCriteria, sendTagged, writeNotFound } = require("../etag");
+const { dbError } = require("../problem");
+const { CURRENCY_PATTERN, validate, argumentsFrom } = require("../validation");
 const { response } = require("express");
 const router = express.Router();
 
+// filters and sorts allowed on GET /invoices.
+const INVOICE_LIST_OPTIONS = {
+    filters: {
+        paid: { column: "paid", op: "=", type: "boolean" },
+        comp_code: { column: "comp_code", op: "=", type: "text" },
+        currency: { column: "currency", op: "=", type: "text" },
+        min_amt: { column: "amt", op: ">=", type: "number" },
+        max_amt: { column: "amt", op: "<=", type: "number" },
+        add_date_from: { column: "add_date", op: ">=", type: "date" },
+        add_date_to: { column: "add_date", op: "<=", type: "date" }
+    },
+    sortFields: ["id", "comp_code", "amt", "add_date", "due_date", "paid_date"],
+    defaultSort: "id ASC"
+}
 
-/** GET {/invoices}/ ; return {invoices: [{id, comp_code}, ...]}  */
-router.get("/", async function (req, res, next) {
-    //  route gets and returns all invoices in the invoices table.
+// the fields of an invoice in responses, along with its derived status.
+const INVOICE_RETURN_FIELDS = "id, comp_code, amt, currency, paid, add_date, due_date, paid_date";
+
+// request schemas, see validate in validation.js.
+const INVOICE_ID = {
+    id: { type: "integer", required: true, min: 1 }
+}
+
+// amounts are numeric(12, 2) -- to the cent, under ten billion.
+const AMOUNT = { type: "number", required: true, greaterThan: 0, max: 9999999999.99, maxDecimals: 2 };
+
+const CURRENCY = {
+    type: "string", pattern: CURRENCY_PATTERN,
+    patternMessage: "must be a 3 letter currency code, ie. USD"
+}
+
+// paid and paid_date add an invoice that was already paid -- it is given a payment
+//  of its amt on paid_date, see insertInvoice.
+const INVOICE_FIELDS = {
+    comp_code: { type: "string", required: true, maxLength: 50 },
+    amt: AMOUNT,
+    currency: CURRENCY,
+    paid: { type: "boolean" },
+    add_date: { type: "date" },
+    due_date: { type: "date" },
+    paid_date: { type: "date", nullable: true }
+}
+
+// the columns of a CSV export of GET /invoices and the ones that are dates.
+const INVOICE_CSV_FIELDS = ["id", "comp_code", "amt", "currency", "paid", "add_date", "due_date", "paid_date"];
+const INVOICE_CSV_DATES = ["add_date", "due_date", "paid_date"];
+
+// a line item of an invoice, see invoiceItems.js.
+const ITEM_FIELD_RULES = {
+    description: { type: "string", required: true, maxLength: 500 },
+    quantity: { type: "number", greaterThan: 0, max: 999999999, maxDecimals: 3 },
+    unit_price: { type: "number", required: true, min: 0, max: 9999999999.99, maxDecimals: 2 },
+    tax_rate: { type: "number", min: 0, max: 100, maxDecimals: 3 }
+}
+
+// amt is required unless the invoice is given items; see the POST route.
+const INVOICE_CREATE = {
+    body: {
+        ...INVOICE_FIELDS,
+        amt: { ...AMOUNT, required: false },
+        items: { type: "array", minItems: 1, maxItems: 500, items: ITEM_FIELD_RULES }
+    }
+}
+
+const INVOICE_UPDATE = {
+    params: INVOICE_ID,
+    body: {
+        comp_code: { ...INVOICE_FIELDS.comp_code, required: false },
+        amt: { ...INVOICE_FIELDS.amt, required: false },
+        due_date: INVOICE_FIELDS.due_date
+    },
+    minBodyFields: 1
+}
+
+// the fields PUT and PATCH /invoices/[id] change. paid and paid_date are not among
+//  them -- they follow the payments ledger (see syncPaidStatus).
+const INVOICE_UPDATE_KEYS = ["comp_code", "amt", "due_date"];
+
+const INVOICE_LOOKUP = {
+    params: INVOICE_ID
+}
+
+const INVOICE_LIST = {
+    query: {
+        include_deleted: { type: "boolean" },
+        reporting_currency: CURRENCY,
+        status: { type: "string", oneOf: INVOICE_STATUSES }
+    }
+}
+
+const INVOICE_READ = {
+    params: INVOICE_ID,
+    query: {
+        include_deleted: { type: "boolean" }
+    }
+}
+
+const INVOICE_DELETE = {
+    params: INVOICE_ID,
+    query: {
+        purge: { type: "boolean" }
+    }
+}
+
+const ITEM_ID = {
+    ...INVOICE_ID,
+    itemId: { type: "integer", required: true, min: 1 }
+}
+
+const ITEM_CREATE = {
+    params: INVOICE_ID,
+    body: ITEM_FIELD_RULES
+}
+
+const ITEM_UPDATE = {
+    params: ITEM_ID,
+    body: {
+        description: { ...ITEM_FIELD_RULES.description, required: false },
+        quantity: ITEM_FIELD_RULES.quantity,
+        unit_price: { ...ITEM_FIELD_RULES.unit_price, required: false },
+        tax_rate: ITEM_FIELD_RULES.tax_rate
+    },
+    minBodyFields: 1
+}
+
+const ITEM_DELETE = {
+    params: ITEM_ID
+}
+
+const PAYMENT_CREATE = {
+    params: INVOICE_ID,
+    body: {
+        amt: AMOUNT,
+        pay_date: { type: "date" }
+    }
+}
+
+const PAYMENT_VOID = {
+    params: {
+        ...INVOICE_ID,
+        paymentId: { type: "integer", required: true, min: 1 }
+    }
+}
+
+// the most invoices in one batch request.
+const MAX_BATCH = 500;
+
+const BATCH_CREATE = {
+    body: {
+        invoices: { type: "array", required: true, minItems: 1, maxItems: MAX_BATCH, items: INVOICE_CREATE.body }
+    }
+}
+
+const BATCH_UPDATE = {
+    body: {
+        invoices: {
+            type: "array", required: true, minItems: 1, maxItems: MAX_BATCH,
+            items: { ...INVOICE_ID, ...INVOICE_UPDATE.body }
+        }
+    }
+}
+
+const BATCH_PAY = {
+    body: {
+        ids: { type: "array", required: true, minItems: 1, maxItems: MAX_BATCH, each: INVOICE_ID.id },
+        paid_date: { type: "date" }
+    }
+}
+
+
+/** GET {/invoices}/ ; return {invoices: [{id, comp_code}, ...], total, limit, offset, next}  */
+router.get("/", validate(INVOICE_LIST), async function (req, res, next) {
+    //  route gets and returns one page of invoices in the invoices table.
+    //
+    //  query string (all optional):
+    //      limit, offset               page size (default 50) and rows to skip
+    //      sort                        id, comp_code, amt, add_date, due_date or paid_date;
+    //                                   '-' in front sorts descending, ie. sort=-amt
+    //      paid                        true / false
+    //      status                      open, overdue or paid (see invoiceStatus.js)
+    //      comp_code                   company code
+    //      currency                    currency code, ie. EUR
+    //      min_amt, max_amt            amt range, inclusive
+    //      add_date_from, add_date_to  add_date range (YYYY-MM-DD), inclusive
+    //      include_deleted             true to list deleted invoices too, with their
+    //                                   deleted_at
+    //      reporting_currency          adds totals of every invoice on every page,
+    //                                   converted to this currency at today's rates
     //
     //  return:
-    //      {invoices: [{id, comp_code}, ...]}
+    //      {invoices: [{id, comp_code, paid, due_date, status}, ...], total, limit, offset, next}
+    //      next is the url of the next page or null on the last page.
+    //      With reporting_currency there is also totals: {currency, invoices, amt}.
+    //      422 is returned when an invoice currency has no exchange rate to it.
+    //
+    //  With Accept: text/csv the page is returned as CSV with id, comp_code, amt,
+    //   currency, paid, add_date, due_date, paid_date and status columns. The total is in the X-Total-Count
+    //   header and the next page in the Link header.
+
+    const listQuery = parseListQuery(req.query, INVOICE_LIST_OPTIONS);
+    if (listQuery.success === false) {
+        const errorValidation = new Error(listQuery.error);
+        errorValidation.status = 400;
+        return next(errorValidation);
+    }
 
-    const results = await dbSelectAll("id, comp_code", "invoices");
+    if (req.query.status !== undefined) {
+        const criteriaStatus = statusCriteria(req.query.status);
+        if (listQuery.criteria.paid !== undefined && listQuery.criteria.paid !== criteriaStatus.paid) {
+            const errorValidation = new ExpressError(
+                `paid=${listQuery.criteria.paid} and status=${req.query.status} cannot both be true.`, 400);
+            errorValidation.field = "status";
+            return next(errorValidation);
+        }
+        Object.assign(listQuery.criteria, criteriaStatus);
+    }
 
+    const csvFields = [...INVOICE_CSV_FIELDS];
+    const selectData = {
+        ...listQuery,
+        selectFields: "id, comp_code, paid, due_date"
+    }
+    if (req.query.include_deleted) {
+        selectData.selectFields = `${selectData.selectFields}, deleted_at`;
+        csvFields.push("deleted_at");
+    } else {
+        selectData.criteria.deleted_at = null;
+    }
+    if (wantsCsv(req)) {
+        selectData.selectFields = `${csvFields}`;
+    }
+    const results = await dbSelectPage(selectData, "invoices");
     if (results.success) {
-        return res.json({ invoices: results.sqlReturn })
+        withStatus(results.sqlReturn);
+    }
+
+    if (results.success && wantsCsv(req)) {
+        const nextPage = nextPageLink(req, listQuery.limit, listQuery.offset, results.total);
+        res.set("X-Total-Count", `${results.total}`);
+        if (nextPage !== null) {
+            res.links({ next: nextPage });
+        }
+        return sendCsv(res, "invoices.csv", toCsv([...csvFields, "status"], results.sqlReturn, INVOICE_CSV_DATES));
+    } else if (results.success) {
+        const invoices = {
+            invoices: results.sqlReturn,
+            total: results.total,
+            limit: listQuery.limit,
+            offset: listQuery.offset,
+            next: nextPageLink(req, listQuery.limit, listQuery.offset, results.total)
+        }
+
+        if (req.query.reporting_currency) {
+            const resultsTotals = await invoiceTotals(selectData.criteria, req.query.reporting_currency);
+            if (resultsTotals.success === false) {
+                return next(dbError(resultsTotals.error.message));
+            }
+            invoices.totals = resultsTotals.sqlReturn;
+        }
+
+        return res.json(invoices);
     } else {
-        const errorSelect = new Error(results.error.message);
-        errorSelect.status = 400;
-        return next(errorSelect);
+        return next(dbError(results.error.message));
     }
 
 
 });
 
 
-/** GET {/invoices}/[id] ; return {invoice: {id, amt, paid, add_date, paid_date, company: {code, name, description}}} */
-router.get("/:id", async function (req, res, next) {
+/** GET {/invoices}/[id] ; return {invoice: {id, amt, currency, paid, add_date, due_date, paid_date, status, company: {code, name, description}, items, subtotal, tax, total}} */
+router.get("/:id", validate(INVOICE_READ), async function (req, res, next) {
     /*  Route return details about the invoice specified by id. Company details are 
-         also included.
+         also included, along with its line items and totals (see invoiceItems.js).
         Returns:
-         {invoice: {id, amt, paid, add_date, paid_date, company: {code, name, description}}}
+         {invoice: {id, amt, currency, paid, add_date, due_date, paid_date, status, company: {code, name, description},
+                    items: [{id, description, quantity, unit_price, tax_rate, line_total, tax_amt}, ...],
+                    subtotal, tax, total}}
      
-        '404' is returned when the invoice is not found.
+        '404' is returned when the invoice is not found. A deleted invoice is not
+         found unless include_deleted=true is on the query string; it then also
+         has its deleted_at.
+        The ETag header is the version of the invoice (see etag.js); If-None-Match
+         with it is answered 304 while nothing returned has changed.
     */
 
-    let idIn;
+    const resultsInvoice = await getInvoiceDetails(req.params.id, req.query.include_deleted === true);
 
-    const nbrTest = checkNumbers(req.params.id);
-    if (nbrTest.numberIsValid) {
-        idIn = nbrTest.validatedNumber;
+    if (resultsInvoice.success) {
+        return sendTagged(res, resultsInvoice.version, { invoice: resultsInvoice.sqlReturn });
     } else {
-        const errorSelect = new Error(`Invoice id ${nbrTest.message}`);
-        errorSelect.status = 400;
-        return next(errorSelect);
+        return next(resultsInvoice.error);
     }
 
+})
+
+
+/** GET {/invoices}/[id]/pdf ; returns the invoice as a PDF download  */
+router.get("/:id/pdf", validate(INVOICE_READ), async function (req, res, next) {
+    /*  Route returns the invoice specified by id, as GET /invoices/[id] assembles
+         it, as a printable PDF (invoice-[id].pdf). The header block has our business
+         details from the BIZTIME_BUSINESS_* settings (see config.js).
+     
+        '404' is returned when the invoice is not found; include_deleted=true works
+         the same as for GET /invoices/[id].
+    */
+
+    const resultsInvoice = await getInvoiceDetails(req.params.id, req.query.include_deleted === true);
+
+    if (resultsInvoice.success) {
+        res.type("application/pdf");
+        res.attachment(`invoice-${resultsInvoice.sqlReturn.id}.pdf`);
+        return res.send(renderInvoicePdf(resultsInvoice.sqlReturn, BUSINESS));
+    } else {
+        return next(resultsInvoice.error);
+    }
+
+})
+
+
+async function getInvoiceDetails(invId, includeDeleted) {
+    /*  getInvoiceDetails assembles the invoice, with its company, that GET
+         /invoices/[id] returns.
+
+        includeDeleted, boolean, find a deleted invoice too; deleted_at is then
+         part of the invoice.
+
+        Returns:
+            { success: true, sqlReturn: {id, amt, currency, paid, add_date, due_date, paid_date, status,
+                company: {code, name, description}, items, subtotal, tax, total}, version }
+        OR
+            { success: false, error: the error to pass on to next() -- 404 when the
+                invoice is not found }
+    */
+
     const selectData = {
-        criteria: "id = $1",
-        criteriaValues: [idIn],
-        selectFields: "id, amt, paid, add_date, paid_date, comp_code"
+        criteria: { id: invId, deleted_at: null },
+        selectFields: "id, amt, currency, paid, add_date, due_date, paid_date, comp_code, version"
+    }
+    if (includeDeleted) {
+        delete selectData.criteria.deleted_at;
+        selectData.selectFields = `${selectData.selectFields}, deleted_at`;
     }
 
     const resultsInvoice = await dbSelect(selectData, "invoices");
 
-    if (resultsInvoice.success) {
-        // we need to do a company lookup, but for now, just throw back the invoice.
-        // Invoice was a primary key lookup. Only one value should have been returned.
-        selectData.criteria = "code = $1";
-        selectData.criteriaValues = [resultsInvoice.sqlReturn.comp_code];
-        selectData.selectFields = "code, name, description";
+    if (resultsInvoice.success === false) {
+        if (resultsInvoice.error.message === "not found") {
+            const errorSelect = new Error(`Invoice '${invId}' was not found.`);
+            errorSelect.status = 404;
+            return { success: false, error: errorSelect };
+        }
+        return { success: false, error: dbError(resultsInvoice.error.message) };
+    }
+
+    // Invoice was a primary key lookup. Only one value should have been returned.
+    const resultsCompany = await dbSelect({
+        criteria: { code: resultsInvoice.sqlReturn.comp_code },
+        selectFields: "code, name, description"
+    }, "companies");
+
+    const version = resultsInvoice.sqlReturn.version;
+    delete resultsInvoice.sqlReturn.version;
+
+    withStatus(resultsInvoice.sqlReturn);
+    if (resultsCompany.success) {
+        delete resultsInvoice.sqlReturn.comp_code;
+        resultsInvoice.sqlReturn["company"] = resultsCompany.sqlReturn
+    }
+
+    try {
+        Object.assign(resultsInvoice.sqlReturn, await invoiceBreakdown(resultsInvoice.sqlReturn));
+    } catch (err) {
+        return { success: false, error: dbError(err) };
+    }
+
+    return { success: true, sqlReturn: resultsInvoice.sqlReturn, version: version };
+
+}
+
+
+/** POST {/invoices}/ ; Returns: {invoice: {id, comp_code, amt, currency, paid, add_date, due_date, paid_date, status, items, subtotal, tax, total}}  */
+router.post("/", validate(INVOICE_CREATE), async function (req, res, next) {
+    //  Route adds an invoice. comp_code is required, along with either amt or items --
+    //   the line items ([{description, quantity, unit_price, tax_rate}, ...]) the
+    //   amt is derived from (see invoiceItems.js). add_date is optional and
+    //   defaults to today.
+    //   paid and paid_date are optional and go together: an invoice added with
+    //   paid true and a paid_date gets a payment of its amt on paid_date, and is
+    //   paid from it. Either one without the other is a 400.
+    //   currency is optional and defaults to BIZTIME_DEFAULT_CURRENCY (see config.js).
+    //   due_date is optional and defaults to add_date plus the payment terms of the
+    //   company.
+    //  Returns: {invoice: {id, comp_code, amt, currency, paid, add_date, due_date, paid_date, status,
+    //             items: [{id, description, quantity, unit_price, tax_rate, line_total, tax_amt}, ...],
+    //             subtotal, tax, total}}
+
+    if ((req.body.amt === undefined) === (req.body.items === undefined)) {
+        const errorValidation = new ExpressError(
+            "Either amt or items is required -- the amt of an invoice with items is derived from them.", 400);
+        errorValidation.field = "amt";
+        return next(errorValidation);
+    }
+
+    const errorPaid = paidError(req.body);
+    if (errorPaid !== null) {
+        const errorValidation = new ExpressError(`${errorPaid.field} ${errorPaid.message}.`, 400);
+        errorValidation.field = errorPaid.field;
+        return next(errorValidation);
+    }
+
+    const resultsCompany = await findActiveCompany(req.body.comp_code);
+    if (resultsCompany.error) {
+        return next(resultsCompany.error);
+    }
+
+    // req.body was validated against INVOICE_CREATE.
+    const results = await dbTransaction(async function (client) {
+        return insertInvoice(client, req.body, resultsCompany.company.payment_terms_days);
+    });
+
+    if (results.success) {
+        // successful insert - return results
+        return res.json({ invoice: results.sqlReturn });
+    } else {
+        return next(dbError(results.error.message));
+    }
+
+})
+
+
+function paidError(data) {
+    /*  paidError returns the {field, message} error for paid and paid_date of an
+         invoice to add that do not go together, or null when they do. An invoice
+         is added paid only with the date it was paid.
+    */
+
+    if (data.paid === true && !data.paid_date) {
+        return { field: "paid_date", message: "is required when paid is true" };
+    }
+    if (data.paid !== true && data.paid_date) {
+        return { field: "paid_date", message: "can only be given when paid is true" };
+    }
+    return null;
+
+}
+
+
+async function insertInvoice(client, data, paymentTermsDays) {
+    /*  insertInvoice adds an invoice and its items, as POST /invoices does, on the
+         transaction client -- the invoice and its items commit together.
+        data is validated against INVOICE_CREATE, has either amt or items and passed
+         paidError. An invoice added paid is given a payment of its amt on paid_date,
+         and syncPaidStatus marks it paid -- the payments are the only record of
+         what was paid.
+        paymentTermsDays, number, the payment terms of the company, for due_date.
+        Errors are thrown so the transaction rolls back.
+
+        Returns: {id, comp_code, amt, currency, paid, add_date, due_date, paid_date, status,
+                  items, subtotal, tax, total}
+    */
+
+    const requiredKeys = ["comp_code", "amt"];
+    const optionalKeys = ["currency", "add_date", "due_date"];
+    const items = data.items || [];
+
+    const insertData = argumentsFrom([...requiredKeys, ...optionalKeys], {
+        currency: DEFAULT_CURRENCY,
+        due_date: dueDate(data.add_date, paymentTermsDays),
+        ...data,
+        amt: (items.length > 0) ? await itemsTotal(items, client) : data.amt
+    });
+
+    const resultsInsert = await dbInsert(insertData, "invoices", INVOICE_RETURN_FIELDS, client);
+    if (resultsInsert.success === false) {
+        throw resultsInsert.error.message;
+    }
+    let invoice = resultsInsert.sqlReturn;
+
+    await insertItems(invoice.id, items, client);
 
-        const resultsCompany = await dbSelect(selectData, "companies");
+    if (data.paid === true) {
+        const resultsPayment = await dbInsert({
+            argumentsName: ["inv_id", "amt", "pay_date"],
+            argumentsValues: [invoice.id, invoice.amt, data.paid_date]
+        }, "payments", "id", client);
+        if (resultsPayment.success === false) {
+            throw resultsPayment.error.message;
+        }
+        await syncPaidStatus(invoice.id, client);
 
-        if (resultsCompany.success) {
-            delete resultsInvoice.sqlReturn.comp_code;
-            resultsInvoice.sqlReturn["company"] = resultsCompany.sqlReturn
+        const resultsPaid = await dbSelect(
+            { criteria: { id: invoice.id }, selectFields: INVOICE_RETURN_FIELDS }, "invoices", client);
+        if (resultsPaid.success === false) {
+            throw resultsPaid.error.message;
         }
+        invoice = resultsPaid.sqlReturn;
+    }
+
+    return { ...withStatus(invoice), ...await invoiceBreakdown(invoice, client) };
+
+}
+
+
+/** POST {/invoices}/import ; returns {invoices: [{id, comp_code, amt, currency, paid, add_date, due_date, paid_date, status}, ...], imported}   */
+router.post("/import", express.text({ type: "text/csv", limit: "5mb" }), async function (req, res, next) {
+    //  Route adds the invoices in a CSV body (Content-Type: text/csv) with a header
+    //   line of comp_code, amt and, optionally, currency, paid, add_date, due_date and paid_date. Every row
+    //   has to be valid, the same as for POST /invoices, including a comp_code of a
+    //   company that is not deleted and paid with a paid_date -- a paid invoice is
+    //   added with a payment of its amt. Either every invoice is added or none is.
+    //  Returns: {invoices: [{id, comp_code, amt, currency, paid, add_date, due_date, paid_date, status}, ...], imported}
+    //   or a 400 listing every invalid row, by line, in errors.
 
-        return res.json({ invoice: resultsInvoice.sqlReturn });
+    if (typeof req.body !== "string") {
+        return next(new ExpressError("The body has to be CSV sent as Content-Type: text/csv.", 415));
+    }
+
+    const resultsRead = readCsvRows(req.body, INVOICE_FIELDS);
+    if (resultsRead.success === false) {
+        return next(resultsRead.error);
+    }
+
+    // every company named in the file is looked up at once.
+    const resultsTerms = await activeCompanyTerms(resultsRead.rows.map(row => row.values.comp_code));
+    if (resultsTerms.error) {
+        return next(resultsTerms.error);
+    }
+    const terms = resultsTerms.terms;
 
+    const errors = [];
+    resultsRead.rows.forEach(row => {
+        if (terms[row.values.comp_code] === undefined) {
+            errors.push({ line: row.line, field: "comp_code", message: `'${row.values.comp_code}' does not exist` });
+        }
+        const errorPaid = paidError(row.values);
+        if (errorPaid !== null) {
+            errors.push({ line: row.line, ...errorPaid });
+        }
+    });
+    if (errors.length > 0) {
+        return next(rowErrors(errors));
+    }
+
+    // each row is added as POST /invoices adds it, the payment of a paid one included.
+    const resultsImport = await importRows(resultsRead.rows, "invoices", INVOICE_RETURN_FIELDS,
+        async function (client, values) {
+            const { items, subtotal, tax, total, ...invoice } =
+                await insertInvoice(client, values, terms[values.comp_code]);
+            return invoice;
+        });
+    if (resultsImport.success) {
+        return res.json({
+            invoices: resultsImport.sqlReturn,
+            imported: resultsImport.sqlReturn.length
+        });
     } else {
-        if (resultsInvoice.error.message === "not found") {
-            const errorSelect = new Error(`Invoice '${req.params.id}' was not found.`);
-            errorSelect.status = 404;
-            return next(errorSelect);
-        } else {
-            const errorSelect = new Error(resultsInvoice.error.message);
-            errorSelect.status = 400;
-            return next(errorSelect);
+        return next(resultsImport.error);
+    }
+
+})
+
+
+/** POST {/invoices}/batch ; returns {results: [{index, result, invoice}, ...], created}   */
+router.post("/batch", validate(BATCH_CREATE), async function (req, res, next) {
+    //  Route adds every invoice in {invoices: [...]}, each one as for POST /invoices,
+    //   in one transaction -- all of them or, when one fails, none. Every invoice is
+    //   checked before any is added, and a 400 lists every problem by index, ie.
+    //   invoices[3].comp_code.
+    //  Returns, in the order sent:
+    //   {results: [{index, result: "created", invoice: {id, comp_code, amt, currency, paid,
+    //     add_date, due_date, paid_date, status, items, subtotal, tax, total}}, ...], created}
+
+    const invoices = req.body.invoices;
+
+    const resultsTerms = await activeCompanyTerms(invoices.map(invoice => invoice.comp_code));
+    if (resultsTerms.error) {
+        return next(resultsTerms.error);
+    }
+
+    const errors = [];
+    invoices.forEach((invoice, index) => {
+        if ((invoice.amt === undefined) === (invoice.items === undefined)) {
+            errors.push({ index: index, field: "amt", message: "or items is required, not both" });
+        }
+        if (resultsTerms.terms[invoice.comp_code] === undefined) {
+            errors.push({ index: index, field: "comp_code", message: `'${invoice.comp_code}' does not exist` });
+        }
+        const errorPaid = paidError(invoice);
+        if (errorPaid !== null) {
+            errors.push({ index: index, ...errorPaid });
+        }
+    });
+    if (errors.length > 0) {
+        return next(batchErrors("invoices", errors));
+    }
+
+    const results = await dbTransaction(async function (client) {
+        const created = [];
+        for (const [index, invoice] of invoices.entries()) {
+            try {
+                created.push({
+                    index: index,
+                    result: "created",
+                    invoice: await insertInvoice(client, invoice, resultsTerms.terms[invoice.comp_code])
+                });
+            } catch (err) {
+                throw { index: index, error: err };
+            }
         }
+        return created;
+    });
 
+    if (results.success) {
+        return res.json({ results: results.sqlReturn, created: results.sqlReturn.length });
+    } else {
+        return next(batchFailure("invoices", results.error.message));
     }
 
 })
 
 
-/** POST {/invoices}/ ; Returns: {invoice: {id, comp_code, amt, paid, add_date, paid_date}}  */
-router.post("/", async function (req, res, next) {
-    //  Route adds an invoice. comp_code and amt are required and need to have values in 
-    //   the request body. paid, add_date are optional and have default valued defined
-    //   because they are not nullable.
-    //   paid_date is optional and nullable.
-    //  Returns: {invoice: {id, comp_code, amt, paid, add_date, paid_date}}
+/** PUT {/invoices}/batch ; returns {results: [{index, result, invoice}, ...], updated}   */
+router.put("/batch", validate(BATCH_UPDATE), async function (req, res, next) {
+    //  Route changes every invoice in {invoices: [{id, ...fields}, ...]}; the fields
+    //   and their checks are the ones of PUT /invoices/[id]. The changes are made in
+    //   one transaction -- all of them or, when one fails, none. Every change is
+    //   checked before any is made, and a 400 lists every problem by index, ie.
+    //   invoices[3].id. An invoice can be listed once.
+    //  Returns, in the order sent:
+    //   {results: [{index, result: "updated", invoice: {id, comp_code, amt, currency, paid,
+    //     add_date, due_date, paid_date, status}}, ...], updated}
 
-    const requiredKeys = ["comp_code", "amt"];
-    const optionalKeys = ["paid", "add_date", "paid_date"];
-
-    const resultsPreparation = prepareInsertData(requiredKeys, optionalKeys, req.body);
-    if (resultsPreparation.success === false) {
-        // An error occurred while validating the data when success is false.
-        // const errorValidation = new Error(resultsPreparation["error"]);
-        // bad request (400) -- required fields are missing.
-        const errorValidation = new Error(resultsPreparation.error);
-        errorValidation.status = 400;
-        return next(errorValidation);
+    const invoices = req.body.invoices;
+    const ids = invoices.map(invoice => invoice.id);
+
+    const resultsFound = await batchInvoices(ids);
+    if (resultsFound.error) {
+        return next(resultsFound.error);
     }
 
-    const resultsInsert = await dbInsert(resultsPreparation.insertData, "invoices", `${requiredKeys}`);
+    const resultsTerms = await activeCompanyTerms(
+        invoices.filter(invoice => invoice.comp_code !== undefined).map(invoice => invoice.comp_code));
+    if (resultsTerms.error) {
+        return next(resultsTerms.error);
+    }
 
-    if (resultsInsert.success) {
-        // successful insert - return results
-        return res.json({ invoice: resultsInsert.sqlReturn });
+    // the amt of an invoice with items is their total.
+    const itemized = new Set();
+    const amtIds = invoices.filter(invoice => invoice.amt !== undefined).map(invoice => invoice.id);
+    if (amtIds.length > 0) {
+        const resultsItems = await dbSelect(
+            { criteria: { inv_id: amtIds }, selectFields: "inv_id" }, "invoice_items");
+        if (resultsItems.success) {
+            [].concat(resultsItems.sqlReturn).forEach(item => itemized.add(item.inv_id));
+        } else if (resultsItems.error.message !== "not found") {
+            return next(dbError(resultsItems.error.message));
+        }
+    }
+
+    const errors = batchIdErrors(ids, resultsFound.found);
+    invoices.forEach((invoice, index) => {
+        if (INVOICE_UPDATE_KEYS.every(key => invoice[key] === undefined)) {
+            errors.push({
+                index: index, field: INVOICE_UPDATE_KEYS.join(", "),
+                message: "at least 1 of these fields is required"
+            });
+        }
+        if (invoice.comp_code !== undefined && resultsTerms.terms[invoice.comp_code] === undefined) {
+            errors.push({ index: index, field: "comp_code", message: `'${invoice.comp_code}' does not exist` });
+        }
+        if (invoice.amt !== undefined && itemized.has(invoice.id)) {
+            errors.push({
+                index: index, field: "amt",
+                message: `is the total of the items of invoice '${invoice.id}' -- change them at /invoices/${invoice.id}/items`
+            });
+        }
+    });
+    if (errors.length > 0) {
+        return next(batchErrors("invoices", errors));
+    }
+
+    const results = await dbTransaction(async function (client) {
+        const updated = [];
+        for (const [index, invoice] of invoices.entries()) {
+            const resultsUpdate = await dbUpdate(
+                { pk: "id", value: invoice.id, criteria: { deleted_at: null } },
+                argumentsFrom(INVOICE_UPDATE_KEYS, invoice), "invoices", client);
+            if (resultsUpdate.success === false) {
+                throw { index: index, error: batchNotFound(invoice.id, resultsUpdate.error.message) };
+            }
+            if (invoice.amt !== undefined) {
+                await syncPaidStatus(invoice.id, client);
+            }
+
+            // the whole invoice is returned -- status depends on fields that were not sent.
+            const resultsInvoice = await dbSelect(
+                { criteria: { id: invoice.id }, selectFields: INVOICE_RETURN_FIELDS }, "invoices", client);
+            if (resultsInvoice.success === false) {
+                throw resultsInvoice.error.message;
+            }
+            updated.push({ index: index, result: "updated", invoice: withStatus(resultsInvoice.sqlReturn) });
+        }
+        return updated;
+    });
+
+    if (results.success) {
+        return res.json({ results: results.sqlReturn, updated: results.sqlReturn.length });
     } else {
-        const errorInsert = new Error(resultsInsert.error.message);
-        errorInsert.status = 400;
-        return next(errorInsert);
+        return next(batchFailure("invoices", results.error.message));
     }
 
 })
 
 
+/** POST {/invoices}/batch/pay ; returns {results: [{index, result, invoice, payment}, ...], paid, unchanged}   */
+router.post("/batch/pay", validate(BATCH_PAY), async function (req, res, next) {
+    //  Route pays every invoice in {ids: [...]} in full, as of paid_date (optional,
+    //   defaults to today), in one transaction -- all of them or none. Each invoice
+    //   gets a payment of its outstanding balance, and is marked paid from the
+    //   payments, as for POST /invoices/[id]/payments. paid_date is the pay_date of
+    //   those payments only: an invoice whose payments already cover it is
+    //   "unchanged" and keeps the paid_date of its latest payment. A 400 lists
+    //   every id that is not found, by index, ie. ids[3].
+    //  Returns, in the order sent:
+    //   {results: [{index, result: "paid" or "unchanged", invoice: {id, comp_code, amt, currency,
+    //     paid, add_date, due_date, paid_date, status},
+    //     payment: {id, inv_id, amt, pay_date, voided, void_date} or null}, ...], paid, unchanged}
 
-/** PUT {/invoices}/[id] ; returns {invoice: {id, comp_code, amt, paid, add_date, paid_date}}   */
-router.put("/:id", async function (req, res, next) {
-    //  Route updates the invoice indicated by id. comp_code, amt, paid, and paid_date are updatable
-    //   fields. Fields and values are in request body.
-    //  Successful update returns the changed invoice:
-    //   {invoice: {id, comp_code, amt, paid, add_date, paid_date}}
-    //  404 is returned when the invoice id was not found.
+    const ids = req.body.ids;
+    const paidDate = req.body.paid_date || today();
 
-    const verifyNumber = checkNumbers(req.params.id);
-    if (verifyNumber.numberIsValid === false) {
-        const errorIdNotNumeric = new Error(`Invoice id ${verifyNumber.message}`);
-        errorIdNotNumeric.status = 400;
-        return next(errorIdNotNumeric);
+    const resultsFound = await batchInvoices(ids);
+    if (resultsFound.error) {
+        return next(resultsFound.error);
+    }
+    const errors = batchIdErrors(ids, resultsFound.found).map(error => ({ index: error.index, message: error.message }));
+    if (errors.length > 0) {
+        return next(batchErrors("ids", errors));
     }
 
-    // not sure why the assignment only listed amt as getting passed in the json body. Updates to 
-    //  company code, paid (true/false) and paid_date should possible as well. My luck, I will probably
-    //  find out why soon enough! 
-    const optionalKeys = ["comp_code", "amt", "paid", "paid_date"]
+    const results = await dbTransaction(async function (client) {
+        const marked = [];
+        for (const [index, id] of ids.entries()) {
+            // lock the invoice so a payment recorded at the same time cannot clear
+            //  the balance twice.
+            const resultsLock = await client.query(
+                `SELECT id FROM invoices WHERE id = $1 AND deleted_at IS NULL FOR UPDATE`, [id]);
+            if (resultsLock.rows.length === 0) {
+                throw { index: index, error: batchNotFound(id, "not found") };
+            }
+
+            // an invoice that is already paid, or has nothing outstanding, is left as it is.
+            let balance = await getInvoiceBalance(id, client);
+            let payment = null;
+            if (balance.invoice.paid === false && toCents(balance.outstanding) > 0) {
+                const insertData = {
+                    argumentsName: ["inv_id", "amt", "pay_date"],
+                    argumentsValues: [id, balance.outstanding, paidDate]
+                };
+                const resultsInsert = await dbInsert(insertData, "payments", "*", client);
+                if (resultsInsert.success === false) {
+                    throw { index: index, error: resultsInsert.error.message };
+                }
+                payment = resultsInsert.sqlReturn;
+            }
+            // the payment clears the balance, so the invoice is marked paid as of its date.
+            balance = await syncPaidStatus(id, client);
+
+            const resultsInvoice = await dbSelect(
+                { criteria: { id: id, deleted_at: null }, selectFields: INVOICE_RETURN_FIELDS }, "invoices", client);
+            if (resultsInvoice.success === false) {
+                throw { index: index, error: batchNotFound(id, resultsInvoice.error.message) };
+            }
+            marked.push({
+                index: index,
+                result: payment === null ? "unchanged" : "paid",
+                invoice: withStatus(resultsInvoice.sqlReturn),
+                payment: payment
+            });
+        }
+        return marked;
+    });
 
-    const resultsPreparation = prepareUpdateData(optionalKeys, req.body);
-    if (resultsPreparation.success === false) {
-        const errorUpdate = new Error(resultsPreparation.error);
-        errorUpdate.status = 404;
-        return next(errorUpdate);
+    if (results.success) {
+        return res.json({
+            results: results.sqlReturn,
+            paid: results.sqlReturn.filter(marked => marked.result === "paid").length,
+            unchanged: results.sqlReturn.filter(marked => marked.result === "unchanged").length
+        });
+    } else {
+        return next(batchFailure("ids", results.error.message));
+    }
+
+})
+
+
+async function batchInvoices(ids) {
+    /*  batchInvoices looks up the invoices of a batch at once.
+
+        Returns:
+            { found: Set of the ids of invoices that exist and are not deleted }
+        OR
+            { error: the error to pass on to next() }
+    */
+
+    const resultsInvoices = await dbSelect(
+        { criteria: { id: [...new Set(ids)], deleted_at: null }, selectFields: "id" }, "invoices");
+    if (resultsInvoices.success === false && resultsInvoices.error.message !== "not found") {
+        return { error: dbError(resultsInvoices.error.message) };
     }
 
+    // dbSelect returns a single row as an object rather than a list.
+    return {
+        found: new Set(resultsInvoices.success ? [].concat(resultsInvoices.sqlReturn).map(row => row.id) : [])
+    };
+
+}
+
+
+function batchIdErrors(ids, found) {
+    // returns the errors, [{index, field, message}, ...], for ids that are not found or are listed twice.
+
+    const errors = [];
+    ids.forEach((id, index) => {
+        if (found.has(id) === false) {
+            errors.push({ index: index, field: "id", message: `'${id}' was not found` });
+        } else if (ids.indexOf(id) !== index) {
+            errors.push({ index: index, field: "id", message: `'${id}' is listed more than once` });
+        }
+    });
+    return errors;
+
+}
+
+
+function batchNotFound(id, message) {
+    // returns the 404 for an invoice of a batch deleted since it was checked, or message for any other failure.
+    return (message === "not found") ? new ExpressError(`Invoice '${id}' was not found.`, 404) : message;
+}
+
+
+function batchField(list, index, field) {
+    // returns the name of a field of an entry in a batch, ie. invoices[3].comp_code.
+    return (field === undefined) ? `${list}[${index}]` : `${list}[${index}].${field}`;
+}
+
+
+function batchErrors(list, errors) {
+    /*  batchErrors returns the 400 ExpressError for the invalid entries of a batch.
+
+        list, string, the body field of the batch, ie. 'invoices'.
+        errors, array, [{index, field, message}, ...]; field is optional.
+    */
+
+    const errorBatch = new ExpressError(
+        `Invalid batch: ${errors.map(error => `${batchField(list, error.index, error.field)} ${error.message}`).join("; ")}. `
+        + "Nothing was changed.",
+        400);
+    errorBatch.errors = errors.map(error =>
+        ({ field: batchField(list, error.index, error.field), location: "body", message: error.message }));
+    return errorBatch;
+
+}
+
+
+function batchFailure(list, failed) {
+    /*  batchFailure returns the error for a batch whose transaction rolled back.
+         failed is what the transaction threw -- {index, error} names the entry that
+         failed, as importRows in csv.js does for a line.
+    */
+
+    if (failed === null || typeof failed !== "object" || failed.index === undefined) {
+        return dbError(failed);
+    }
+    const errorBatch = dbError(failed.error);
+    if (errorBatch.status < 500) {
+        const field = batchField(list, failed.index, errorBatch.field);
+        errorBatch.errors = [{ field: field, location: "body", message: errorBatch.message }];
+        errorBatch.message = `${batchField(list, failed.index)}: ${errorBatch.message} Nothing was changed.`;
+        errorBatch.field = field;
+    }
+    return errorBatch;
+
+}
+
+
+/** PUT {/invoices}/[id] ; returns {invoice: {id, comp_code, amt, currency, paid, add_date, due_date, paid_date, status}}   */
+router.put("/:id", validate(INVOICE_UPDATE), async function (req, res, next) {
+    //  Route updates the invoice indicated by id. comp_code, amt and due_date
+    //   are updatable fields. Fields and values are in request body.
+    //   amt is not when the invoice has items -- 409 is returned; it is their total.
+    //   A new amt pays off or reopens the invoice when it meets or passes what was paid.
+    //   currency is not -- payments already recorded against the invoice are in it.
+    //   paid and paid_date are not -- they follow the payments; record one at
+    //   /invoices/[id]/payments.
+    //  With an If-Match header (the ETag of GET /invoices/[id]) the invoice is only
+    //   changed when nobody changed it since; 412 is returned when they did.
+    //  Successful update returns the changed invoice, with its new ETag:
+    //   {invoice: {id, comp_code, amt, currency, paid, add_date, due_date, paid_date, status}}
+    //  404 is returned when the invoice id was not found.
+
+    return updateInvoice(req, res, next);
+
+})
+
+
+/** PATCH {/invoices}/[id] ; returns {invoice: {id, comp_code, amt, currency, paid, add_date, due_date, paid_date, status}}   */
+router.patch("/:id", validate(INVOICE_UPDATE), async function (req, res, next) {
+    //  Route changes the invoice indicated by id with a JSON Merge Patch (RFC 7396)
+    //   body. Fields left out stay as they are, and null is refused for the fields,
+    //   which cannot be empty. The fields, checks and If-Match are the same as for
+    //   PUT, as is what is returned.
+
+    return updateInvoice(req, res, next);
+
+})
+
+
+async function updateInvoice(req, res, next) {
+    // PUT and PATCH /invoices/[id] -- see the routes. req.body is validated.
+
+    // req.body was validated against INVOICE_UPDATE -- at least one field is present.
+    const updateData = argumentsFrom(INVOICE_UPDATE_KEYS, req.body);
+
+    if (req.body.comp_code !== undefined) {
+        const resultsCompany = await findActiveCompany(req.body.comp_code);
+        if (resultsCompany.error) {
+            return next(resultsCompany.error);
+        }
+    }
+
+    if (req.body.amt !== undefined) {
+        const resultsItems = await dbSelect(
+            { criteria: { inv_id: req.params.id }, selectFields: "id" }, "invoice_items");
+        if (resultsItems.success) {
+            const errorUpdate = new ExpressError(
+                `The amt of invoice '${req.params.id}' is the total of its items -- change them at /invoices/${req.params.id}/items.`,
+                409);
+            errorUpdate.field = "amt";
+            return next(errorUpdate);
+        } else if (resultsItems.error.message !== "not found") {
+            return next(dbError(resultsItems.error.message));
+        }
+    }
+
+    // a deleted invoice is not found.
     const criteria = {
         pk: "id",
-        value: verifyNumber.validatedNumber
+        value: req.params.id,
+        criteria: { deleted_at: null, ...matchCriteria(req) }
     }
-    const resultsUpdate = await dbUpdate(criteria, resultsPreparation.updateData, "invoices");
 
-    if (resultsUpdate.success) {
-        return res.json({ invoice: resultsUpdate.sqlReturn })
+    // the invoice is read back in the same transaction, so its version is the one of this update.
+    const results = await dbTransaction(async function (client) {
+        const resultsUpdate = await dbUpdate(criteria, updateData, "invoices", client);
+        if (resultsUpdate.success === false) {
+            throw resultsUpdate.error.message;
+        }
+        if (req.body.amt !== undefined) {
+            await syncPaidStatus(req.params.id, client);
+        }
+
+        // the whole invoice is returned -- status depends on fields that were not sent.
+        const resultsInvoice = await dbSelect(
+            { criteria: { id: req.params.id }, selectFields: `${INVOICE_RETURN_FIELDS}, version` },
+            "invoices", client);
+        if (resultsInvoice.success === false) {
+            throw resultsInvoice.error.message;
+        }
+        return resultsInvoice.sqlReturn;
+    });
+
+    if (results.success) {
+        const { version, ...invoice } = results.sqlReturn;
+        return sendTagged(res, version, { invoice: withStatus(invoice) });
     } else {
-        if (resultsUpdate.error.message === "not found") {
+        if (results.error.message === "not found") {
             const errorUpdate = new Error(`Invoice '${req.params.id}' was not found.`);
-            errorSelect.status = 404;
-            return next(errorSelect);
+            errorUpdate.status = 404;
+            return next(await writeNotFound(req, "invoices", { id: req.params.id, deleted_at: null }, errorUpdate));
         } else {
-            const errorSelect = new Error(resultsUpdate.error.message);
-            errorSelect.status = 400;
-            return next(errorSelect);
+            return next(dbError(results.error.message));
         }
     }
-    //     Returns: {invoice: {id, comp_code, amt, paid, add_date, paid_date}}
-
 
-})
+}
 
 
+/** DELETE {/invoices}/[id] ; returns {deleted: [{id, comp_code, amt, currency, paid, add_date, due_date, paid_date, deleted_at, status}]}  */
+router.delete("/:id", validate(INVOICE_DELETE), async function (req, res, next) {
+    //  Route delete the invoice specified by id. The invoice is marked deleted
+    //   (deleted_at) and can be brought back with POST /invoices/[id]/restore.
+    //  ?purge=true removes an invoice that was already deleted, and its payments,
+    //   for good. 409 is returned when the invoice has not been deleted first.
+    //  With an If-Match header the invoice is only deleted (or purged) at that
+    //   version; 412 is returned when it was changed since.
+    //  When invoice successfully deleted, Returns: {deleted: [invoice]}
+    //   ({purged: [invoice]} for a purge)
+    //  and a 404 / not found when invoice id was not found.
 
+    const idIn = req.params.id;
 
-/** DELETE {/invoices}/[id] ; returns {status: "deleted"}  */
-router.delete("/:id", async function (req, res, next) {
-    //  Route delete the invoice specified by id. 
-    //  When invoice successfully deleted, Returns: {status: "deleted"}
-    //  and a 404 / not found when invoice id was not found.
+    if (req.query.purge) {
+        return purgeInvoice(req, res, next);
+    }
 
-    let idIn;
+    const criteria = {
+        pk: "id",
+        value: idIn,
+        criteria: { deleted_at: null, ...matchCriteria(req) }
+    }
+    const updateData = {
+        argumentsName: ["deleted_at"],
+        argumentsValues: [new Date()]
+    }
 
-    const nbrTest = checkNumbers(req.params.id);
-    if (nbrTest.numberIsValid) {
-        idIn = nbrTest.validatedNumber;
+    const resultsDelete = await dbUpdate(criteria, updateData, "invoices");
+    if (resultsDelete.success) {
+        const resultsInvoice = await dbSelect({
+            criteria: { id: idIn },
+            selectFields: `${INVOICE_RETURN_FIELDS}, deleted_at`
+        }, "invoices");
+        return res.json({ deleted: withStatus([resultsInvoice.sqlReturn]) });
     } else {
-        const errorDelete = new Error(`Invoice id ${nbrTest.message}`);
-        errorDelete.status = 400;
+        if (resultsDelete.error.message === "not found") {
+            const errorSelect = new Error(`Invoice '${req.params.id}' was not found.`);
+            errorSelect.status = 404;
+            return next(await writeNotFound(req, "invoices", { id: idIn, deleted_at: null }, errorSelect));
+        } else {
+            return next(dbError(resultsDelete.error.message));
+        }
+    }
+})
+
+
+async function purgeInvoice(req, res, next) {
+    // DELETE /invoices/[id]?purge=true -- see the DELETE route.
+
+    const idIn = req.params.id;
+
+    const resultsInvoice = await dbSelect(
+        { criteria: { id: idIn }, selectFields: "id, deleted_at" }, "invoices");
+    if (resultsInvoice.success === false) {
+        if (resultsInvoice.error.message === "not found") {
+            const errorSelect = new Error(`Invoice '${req.params.id}' was not found.`);
+            errorSelect.status = 404;
+            return next(errorSelect);
+        }
+        return next(dbError(resultsInvoice.error.message));
+    }
+    if (resultsInvoice.sqlReturn.deleted_at === null) {
+        const errorDelete = new Error(
+            `Invoice '${req.params.id}' has to be deleted before it can be purged.`);
+        errorDelete.status = 409;
         return next(errorDelete);
     }
 
     const deleteData = {
-        criteria: 'id = $1',
-        criteriaValues: [idIn],
-        argumentsName: "id, amt, paid, add_date, paid_date, comp_code"
+        criteria: { id: idIn, deleted_at: { "<>": null }, ...matchCriteria(req) },
+        argumentsName: `${INVOICE_RETURN_FIELDS}, deleted_at`
     }
 
     const resultsDelete = await dbDelete(deleteData, "invoices");
     if (resultsDelete.success) {
-        return res.json({ deleted: resultsDelete.deleted });
-        // return res.json(resultsDelete.message);
+        return res.json({ purged: withStatus(resultsDelete.deleted) });
+    } else if (resultsDelete.error.message === "not found") {
+        // the invoice was there a moment ago -- its version did not match If-Match.
+        const errorSelect = new Error(`Invoice '${req.params.id}' was not found.`);
+        errorSelect.status = 404;
+        return next(await writeNotFound(req, "invoices", { id: idIn }, errorSelect));
     } else {
-        if (resultsDelete.error.message === "not found") {
+        return next(dbError(resultsDelete.error.message));
+    }
+
+}
+
+
+/** POST {/invoices}/[id]/restore ; returns {invoice: {id, comp_code, amt, currency, paid, add_date, due_date, paid_date, status}}  */
+router.post("/:id/restore", validate(INVOICE_LOOKUP), async function (req, res, next) {
+    //  Route brings back the deleted invoice specified by id.
+    //  404 is returned when there is no deleted invoice for the id and 409 when the
+    //   company of the invoice is deleted -- restore the company first.
+
+    const idIn = req.params.id;
+
+    const resultsInvoice = await dbSelect(
+        { criteria: { id: idIn, deleted_at: { "<>": null } }, selectFields: "id, comp_code" },
+        "invoices");
+    if (resultsInvoice.success === false) {
+        if (resultsInvoice.error.message === "not found") {
+            const errorRestore = new Error(`A deleted invoice was not found for id '${req.params.id}'.`);
+            errorRestore.status = 404;
+            return next(errorRestore);
+        }
+        return next(dbError(resultsInvoice.error.message));
+    }
+
+    const errorCompany = (await findActiveCompany(resultsInvoice.sqlReturn.comp_code)).error;
+    if (errorCompany) {
+        errorCompany.status = 409;
+        errorCompany.message = `Company '${resultsInvoice.sqlReturn.comp_code}' is deleted. `
+            + "Restore the company before its invoices.";
+        return next(errorCompany);
+    }
+
+    const criteria = {
+        pk: "id",
+        value: idIn
+    }
+    const updateData = {
+        argumentsName: ["deleted_at"],
+        argumentsValues: [null]
+    }
+    const resultsRestore = await dbUpdate(criteria, updateData, "invoices");
+
+    if (resultsRestore.success) {
+        const resultsRestored = await dbSelect({
+            criteria: { id: idIn },
+            selectFields: INVOICE_RETURN_FIELDS
+        }, "invoices");
+        return res.json({ invoice: withStatus(resultsRestored.sqlReturn) });
+    } else {
+        return next(dbError(resultsRestore.error.message));
+    }
+
+})
+
+
+async function findActiveCompany(compCode) {
+    /*  findActiveCompany makes sure an invoice can belong to the company -- it has
+         to exist and not be deleted.
+
+        Returns:
+            { company: {code, payment_terms_days} } when the company is active
+        OR
+            { error: the 422 error to pass on to next() }
+    */
+
+    const resultsCompany = await dbSelect(
+        { criteria: { code: compCode, deleted_at: null }, selectFields: "code, payment_terms_days" },
+        "companies");
+
+    if (resultsCompany.success) {
+        return { company: resultsCompany.sqlReturn };
+    }
+    if (resultsCompany.error.message !== "not found") {
+        return { error: dbError(resultsCompany.error.message) };
+    }
+
+    const errorCompany = new ExpressError(`comp_code '${compCode}' does not exist.`, 422);
+    errorCompany.field = "comp_code";
+    return { error: errorCompany };
+
+}
+
+
+async function activeCompanyTerms(compCodes) {
+    /*  activeCompanyTerms looks up the companies in compCodes at once, for the
+         routes that add or move many invoices. A code missing from terms is of a
+         company that does not exist or is deleted.
+
+        Returns:
+            { terms: {code: payment_terms_days, ...} } for the active companies
+        OR
+            { error: the error to pass on to next() }
+    */
+
+    const resultsCompanies = await dbSelect({
+        criteria: { code: [...new Set(compCodes)], deleted_at: null },
+        selectFields: "code, payment_terms_days"
+    }, "companies");
+    if (resultsCompanies.success === false && resultsCompanies.error.message !== "not found") {
+        return { error: dbError(resultsCompanies.error.message) };
+    }
+
+    // dbSelect returns a single row as an object rather than a list.
+    return {
+        terms: Object.fromEntries(resultsCompanies.success
+            ? [].concat(resultsCompanies.sqlReturn).map(company => [company.code, company.payment_terms_days])
+            : [])
+    };
+
+}
+
+
+async function getInvoiceBalance(invId, client = db) {
+    /*  getInvoiceBalance totals the payments, excluding voided payments, that were
+         recorded against the invoice and computes the outstanding balance -- paid_total
+         is counted as aging counts it (see paidTotalSql in aging.js). Amounts are
+         decimal strings, as pg reads numeric, worked out in cents (see money.js).
+
+        client, optional, the transaction client from dbTransaction.
+
+        Returns:
+            {invoice: {id, amt, paid, due_date, paid_date, status}, paid_total, outstanding}
+        OR undefined when the invoice was not found or is deleted.
+    */
+
+    const result = await client.query(`
+        SELECT i.id, i.amt, i.paid, i.due_date, i.paid_date, paid.paid_total
+        FROM invoices AS i
+            CROSS JOIN ${paidTotalSql(null)}
+        WHERE i.id = $1 AND i.deleted_at IS NULL
+    `, [invId]);
+
+    if (result.rows.length === 0) {
+        return undefined;
+    }
+
+    const { paid_total, ...invoice } = result.rows[0];
+
+    return {
+        invoice: { ...invoice, status: invoiceStatus(invoice) },
+        paid_total: fromCents(toCents(paid_total)),
+        outstanding: fromCents(toCents(invoice.amt) - toCents(paid_total))
+    };
+
+}
+
+
+async function syncPaidStatus(invId, client) {
+    /*  syncPaidStatus flips paid / paid_date on the invoice to match the payments
+         ledger. An invoice with no outstanding balance is paid as of the date of its
+         latest payment. An invoice that has a balance again (a payment was voided)
+         reverts to unpaid with no paid_date.
+
+        client, the transaction client from dbTransaction the payment change was
+         made on, so the change and the paid status commit together.
+
+        Returns the balance from getInvoiceBalance after the invoice was synced.
+        A 404 error is thrown when the invoice is not found or is deleted.
+    */
+
+    const balance = await getInvoiceBalance(invId, client);
+    if (balance === undefined) {
+        const errorSync = new Error(`Invoice '${invId}' was not found.`);
+        errorSync.status = 404;
+        throw errorSync;
+    }
+    const criteria = {
+        pk: "id",
+        value: invId
+    }
+    let updateData;
+
+    const outstandingCents = toCents(balance.outstanding);
+    if (outstandingCents <= 0 && balance.invoice.paid === false) {
+        const latest = await client.query(`
+            SELECT MAX(pay_date) AS pay_date FROM payments WHERE inv_id = $1 AND voided = false
+        `, [invId]);
+        updateData = {
+            argumentsName: ["paid", "paid_date"],
+            argumentsValues: [true, latest.rows[0].pay_date]
+        }
+    } else if (outstandingCents > 0 && balance.invoice.paid === true) {
+        updateData = {
+            argumentsName: ["paid", "paid_date"],
+            argumentsValues: [false, null]
+        }
+    } else {
+        return balance;
+    }
+
+    // through dbUpdate so the change in paid status is in the audit log.
+    const resultsUpdate = await dbUpdate(criteria, updateData, "invoices", client);
+    if (resultsUpdate.success === false) {
+        throw resultsUpdate.error.message;
+    }
+    return getInvoiceBalance(invId, client);
+
+}
+
+
+async function lockInvoiceForItems(invId, client) {
+    /*  lockInvoiceForItems locks the invoice whose items are about to change, so
+         concurrent changes to its total are applied one at a time. Items of a paid
+         invoice cannot change. Errors are thrown for the transaction to roll back.
+
+        Returns the invoice, {id, amt, paid}.
+    */
+
+    const result = await client.query(
+        `SELECT id, amt, paid FROM invoices WHERE id = $1 AND deleted_at IS NULL FOR UPDATE`, [invId]);
+
+    if (result.rows.length === 0) {
+        throw new ExpressError(`Invoice '${invId}' was not found.`, 404);
+    }
+    if (result.rows[0].paid) {
+        throw new ExpressError(`Invoice '${invId}' is paid -- its items cannot change.`, 409);
+    }
+    return result.rows[0];
+
+}
+
+
+function totalsOf(breakdown) {
+    // returns the subtotal, tax and total of an invoice breakdown without its items.
+    return { subtotal: breakdown.subtotal, tax: breakdown.tax, total: breakdown.total };
+}
+
+
+/** GET {/invoices}/[id]/items ; returns {items: [{id, description, quantity, unit_price, tax_rate, line_total, tax_amt}, ...], subtotal, tax, total}  */
+router.get("/:id/items", validate(INVOICE_LOOKUP), async function (req, res, next) {
+    /*  Route returns the line items of the invoice specified by id and its totals.
+         An invoice without items has subtotal amt, tax 0.
+
+        '404' is returned when the invoice is not found.
+    */
+
+    const resultsInvoice = await dbSelect(
+        { criteria: { id: req.params.id, deleted_at: null }, selectFields: "id, amt" }, "invoices");
+    if (resultsInvoice.success === false) {
+        if (resultsInvoice.error.message === "not found") {
+            return next(new ExpressError(`Invoice '${req.params.id}' was not found.`, 404));
+        }
+        return next(dbError(resultsInvoice.error.message));
+    }
+
+    try {
+        return res.json(await invoiceBreakdown(resultsInvoice.sqlReturn));
+    } catch (err) {
+        return next(dbError(err));
+    }
+
+})
+
+
+/** POST {/invoices}/[id]/items ; returns {item: {id, description, quantity, unit_price, tax_rate, line_total, tax_amt}, totals, balance}  */
+router.post("/:id/items", validate(ITEM_CREATE), async function (req, res, next) {
+    /*  Route adds a line item to the invoice specified by id. description and
+         unit_price are required; quantity defaults to 1 and tax_rate (a percent)
+         to 0. The amt of the invoice becomes the total of its items -- for an
+         invoice that had none, the amt it was given is replaced.
+        Returns:
+         {item: {id, description, quantity, unit_price, tax_rate, line_total, tax_amt},
+          totals: {subtotal, tax, total},
+          balance: {invoice: {id, amt, paid, due_date, paid_date, status}, paid_total, outstanding}}
+
+        '404' is returned when the invoice is not found, '409' when it is paid.
+    */
+
+    const idIn = req.params.id;
+
+    // the item, the new amt and the paid status of the invoice commit together.
+    const results = await dbTransaction(async function (client) {
+        await lockInvoiceForItems(idIn, client);
+
+        const [item] = await insertItems(idIn, [req.body], client);
+        const breakdown = await applyItemsTotal(idIn, client);
+        const balance = await syncPaidStatus(idIn, client);
+
+        return { item: item, totals: totalsOf(breakdown), balance: balance };
+    });
+
+    if (results.success) {
+        return res.json(results.sqlReturn);
+    } else {
+        return next(dbError(results.error.message));
+    }
+
+})
+
+
+/** PUT {/invoices}/[id]/items/[itemId] ; returns {item: {id, description, quantity, unit_price, tax_rate, line_total, tax_amt}, totals, balance}  */
+router.put("/:id/items/:itemId", validate(ITEM_UPDATE), async function (req, res, next) {
+    /*  Route changes the description, quantity, unit_price or tax_rate of a line
+         item. The amt of the invoice is its new total.
+        Returns: as POST /invoices/[id]/items
+
+        '404' is returned when the invoice or the item is not found, '409' when the
+         invoice is paid.
+    */
+
+    const idIn = req.params.id;
+
+    const results = await dbTransaction(async function (client) {
+        await lockInvoiceForItems(idIn, client);
+
+        const criteria = {
+            pk: "id",
+            value: req.params.itemId,
+            criteria: { inv_id: idIn }
+        }
+        const resultsUpdate = await dbUpdate(
+            criteria, argumentsFrom(ITEM_INPUT_FIELDS, req.body), "invoice_items", client);
+        if (resultsUpdate.success === false) {
+            if (resultsUpdate.error.message === "not found") {
+                throw new ExpressError(
+                    `Item '${req.params.itemId}' was not found for invoice '${req.params.id}'.`, 404);
+            }
+            throw resultsUpdate.error.message;
+        }
+
+        const breakdown = await applyItemsTotal(idIn, client);
+        const balance = await syncPaidStatus(idIn, client);
+
+        return {
+            item: breakdown.items.find(item => item.id === req.params.itemId),
+            totals: totalsOf(breakdown),
+            balance: balance
+        };
+    });
+
+    if (results.success) {
+        return res.json(results.sqlReturn);
+    } else {
+        return next(dbError(results.error.message));
+    }
+
+})
+
+
+/** DELETE {/invoices}/[id]/items/[itemId] ; returns {deleted: [{id, description, ...}], totals, balance}  */
+router.delete("/:id/items/:itemId", validate(ITEM_DELETE), async function (req, res, next) {
+    /*  Route removes a line item. The amt of the invoice is the total of the items
+         left. The last item cannot be removed -- add its replacement first.
+        Returns:
+         {deleted: [{id, description, quantity, unit_price, tax_rate, line_total, tax_amt}],
+          totals: {subtotal, tax, total},
+          balance: {invoice: {id, amt, paid, due_date, paid_date, status}, paid_total, outstanding}}
+
+        '404' is returned when the invoice or the item is not found, '409' when the
+         invoice is paid or the item is its last one.
+    */
+
+    const idIn = req.params.id;
+
+    const results = await dbTransaction(async function (client) {
+        const invoice = await lockInvoiceForItems(idIn, client);
+
+        const { items } = await invoiceBreakdown(invoice, client);
+        if (!items.some(item => item.id === req.params.itemId)) {
+            throw new ExpressError(
+                `Item '${req.params.itemId}' was not found for invoice '${req.params.id}'.`, 404);
+        }
+        if (items.length === 1) {
+            throw new ExpressError(
+                `Item '${req.params.itemId}' is the last item of invoice '${req.params.id}' and cannot be removed.`,
+                409);
+        }
+
+        const resultsDelete = await dbDelete(
+            { criteria: { id: req.params.itemId }, argumentsName: ITEM_FIELDS }, "invoice_items", client);
+        if (resultsDelete.success === false) {
+            throw resultsDelete.error.message;
+        }
+
+        const breakdown = await applyItemsTotal(idIn, client);
+        const balance = await syncPaidStatus(idIn, client);
+
+        return { deleted: resultsDelete.deleted, totals: totalsOf(breakdown), balance: balance };
+    });
+
+    if (results.success) {
+        return res.json(results.sqlReturn);
+    } else {
+        return next(dbError(results.error.message));
+    }
+
+})
+
+
+/** GET {/invoices}/[id]/payments ; returns {payments: [{id, amt, pay_date, voided, void_date}, ...], balance}  */
+router.get("/:id/payments", validate(INVOICE_LOOKUP), async function (req, res, next) {
+    /*  Route returns the payments ledger for the invoice specified by id, voided
+         payments included, along with the outstanding balance.
+        Returns:
+         {payments: [{id, amt, pay_date, voided, void_date}, ...],
+          balance: {invoice: {id, amt, paid, due_date, paid_date, status}, paid_total, outstanding}}
+
+        '404' is returned when the invoice is not found.
+    */
+
+    const idIn = req.params.id;
+
+    try {
+        const balance = await getInvoiceBalance(idIn);
+        if (balance === undefined) {
             const errorSelect = new Error(`Invoice '${req.params.id}' was not found.`);
             errorSelect.status = 404;
             return next(errorSelect);
-        } else {
-            const errorSelect = new Error(resultsDelete.error.message);
-            errorSelect.status = 400;
-            return next(errorSelect);
         }
+
+        const results = await db.query(`
+            SELECT id, amt, pay_date, voided, void_date
+            FROM payments
+            WHERE inv_id = $1
+            ORDER BY pay_date, id
+        `, [idIn]);
+
+        return res.json({ payments: results.rows, balance: balance });
+
+    } catch (error) {
+        return next(error);
     }
+
+})
+
+
+/** POST {/invoices}/[id]/payments ; returns {payment: {id, inv_id, amt, pay_date, voided, void_date}, balance}  */
+router.post("/:id/payments", validate(PAYMENT_CREATE), async function (req, res, next) {
+    /*  Route records a full or partial payment against the invoice specified by id.
+         amt is required and must not be more than the outstanding balance. pay_date
+         is optional and defaults to today.
+        The invoice is marked paid, paid_date set to the pay_date, when the payment
+         clears the outstanding balance.
+        Returns:
+         {payment: {id, inv_id, amt, pay_date, voided, void_date},
+          balance: {invoice: {id, amt, paid, due_date, paid_date, status}, paid_total, outstanding}}
+
+        '404' is returned when the invoice is not found.
+    */
+
+    const idIn = req.params.id;
+    const amt = req.body.amt;
+
+    // the payment and the paid status of the invoice commit together.
+    const results = await dbTransaction(async function (client) {
+
+        // lock the invoice so concurrent payments cannot both clear the same balance.
+        await client.query(`SELECT id FROM invoices WHERE id = $1 FOR UPDATE`, [idIn]);
+
+        const balance = await getInvoiceBalance(idIn, client);
+        if (balance === undefined) {
+            const errorInsert = new Error(`Invoice '${req.params.id}' was not found.`);
+            errorInsert.status = 404;
+            throw errorInsert;
+        }
+
+        if (balance.invoice.paid) {
+            const errorInsert = new Error(`Invoice '${req.params.id}' is already paid.`);
+            errorInsert.status = 400;
+            throw errorInsert;
+        }
+
+        if (toCents(amt) > toCents(balance.outstanding)) {
+            const errorInsert = new Error(
+                `Payment of ${amt} is more than the outstanding balance of ${balance.outstanding}.`);
+            errorInsert.status = 400;
+            throw errorInsert;
+        }
+
+        // the invoice id comes from the url, not the request body. pay_date has
+        //  a default of today in the table when it is not given.
+        const insertData = argumentsFrom(["inv_id", "amt", "pay_date"], { ...req.body, inv_id: idIn });
+
+        const resultsInsert = await dbInsert(insertData, "payments", "*", client);
+        if (resultsInsert.success === false) {
+            throw resultsInsert.error.message;
+        }
+
+        const balanceAfter = await syncPaidStatus(idIn, client);
+
+        return { payment: resultsInsert.sqlReturn, balance: balanceAfter };
+    });
+
+    if (results.success) {
+        return res.json(results.sqlReturn);
+    } else {
+        return next(dbError(results.error.message));
+    }
+
+})
+
+
+/** DELETE {/invoices}/[id]/payments/[paymentId] ; returns {payment: {id, inv_id, amt, pay_date, voided, void_date}, balance}  */
+router.delete("/:id/payments/:paymentId", validate(PAYMENT_VOID), async function (req, res, next) {
+    /*  Route voids a payment. The payment stays in the ledger with voided = true and
+         void_date set to today so the history of the invoice is kept.
+        A paid invoice reverts to unpaid, paid_date cleared, when voiding the payment
+         leaves an outstanding balance.
+        Returns:
+         {payment: {id, inv_id, amt, pay_date, voided, void_date},
+          balance: {invoice: {id, amt, paid, due_date, paid_date, status}, paid_total, outstanding}}
+
+        '404' is returned when the invoice or the payment is not found or the
+         payment was already voided.
+    */
+
+    const idIn = req.params.id;
+
+    // voiding the payment and reverting the paid status commit together.
+    const results = await dbTransaction(async function (client) {
+
+        // lock the invoice so concurrent payment changes are applied one at a time.
+        //  A deleted invoice is not found, the same as for POST payments.
+        const resultsInvoice = await client.query(
+            `SELECT id FROM invoices WHERE id = $1 AND deleted_at IS NULL FOR UPDATE`, [idIn]);
+        if (resultsInvoice.rows.length === 0) {
+            const errorDelete = new Error(`Invoice '${req.params.id}' was not found.`);
+            errorDelete.status = 404;
+            throw errorDelete;
+        }
+
+        const selectData = {
+            criteria: { id: req.params.paymentId, inv_id: idIn, voided: false },
+            selectFields: "id"
+        }
+        const resultsPayment = await dbSelect(selectData, "payments", client);
+
+        if (resultsPayment.success === false && resultsPayment.error.message !== "not found") {
+            throw resultsPayment.error.message;
+        }
+        if (resultsPayment.success === false) {
+            const errorDelete = new Error(
+                `Payment '${req.params.paymentId}' was not found for invoice '${req.params.id}'.`);
+            errorDelete.status = 404;
+            throw errorDelete;
+        }
+
+        const criteria = {
+            pk: "id",
+            value: req.params.paymentId
+        }
+        const updateData = {
+            argumentsName: ["voided", "void_date"],
+            argumentsValues: [true, new Date()]
+        }
+        const resultsUpdate = await dbUpdate(criteria, updateData, "payments", client);
+        if (resultsUpdate.success === false) {
+            throw resultsUpdate.error.message;
+        }
+
+        const balanceAfter = await syncPaidStatus(idIn, client);
+
+        const payment = await dbSelect(
+            { criteria: { id: req.params.paymentId }, selectFields: "id, inv_id, amt, pay_date, voided, void_date" },
+            "payments", client);
+
+        return { payment: payment.sqlReturn, balance: balanceAfter };
+    });
+
+    if (results.success) {
+        return res.json(results.sqlReturn);
+    } else {
+        return next(dbError(results.error.message));
+    }
+
 })
 
 
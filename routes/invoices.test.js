@@ -0,0 +1,180 @@
+/** Tests of the invoice routes: the payments ledger and the paid status it drives. */
+
+const request = require("supertest");
+const db = require("../db");
+const { app } = require("../app");
+const { addCompany, adminKey, dateOf, resetDb } = require("../testCommon");
+
+let key;
+
+beforeEach(async function () {
+    await resetDb();
+    await addCompany("acme");
+    key = await adminKey();
+});
+
+afterAll(async function () {
+    await db.end();
+});
+
+
+async function addInvoice(amt) {
+    // adds an unpaid invoice of amt for acme and returns its id.
+    const res = await request(app).post("/invoices").set("X-API-Key", key).send({ comp_code: "acme", amt: amt });
+    expect(res.statusCode).toBe(200);
+    return res.body.invoice.id;
+}
+
+
+async function pay(id, amt, payDate) {
+    // records a payment against invoice id and returns the response.
+    return request(app).post(`/invoices/${id}/payments`).set("X-API-Key", key).send({ amt: amt, pay_date: payDate });
+}
+
+
+describe("the payments ledger", function () {
+
+    test("a partial payment leaves the invoice open", async function () {
+        const id = await addInvoice(100);
+
+        const res = await pay(id, 40, "2024-03-01");
+
+        expect(res.statusCode).toBe(200);
+        expect(res.body.balance).toMatchObject({ paid_total: "40.00", outstanding: "60.00" });
+        expect(res.body.balance.invoice.paid).toBe(false);
+        expect(await dateOf("invoices", "paid_date", id)).toBeNull();
+    });
+
+    test("the payment that clears the balance pays the invoice as of the latest pay_date", async function () {
+        const id = await addInvoice(100);
+
+        await pay(id, 40, "2024-03-10");
+        const res = await pay(id, 60, "2024-03-05");
+
+        expect(res.statusCode).toBe(200);
+        expect(res.body.balance).toMatchObject({ paid_total: "100.00", outstanding: "0.00" });
+        expect(res.body.balance.invoice.paid).toBe(true);
+        expect(await dateOf("invoices", "paid_date", id)).toBe("2024-03-10");
+    });
+
+    test("no payment is taken past the outstanding balance", async function () {
+        const id = await addInvoice(100);
+        await pay(id, 40, "2024-03-01");
+
+        const res = await pay(id, 60.01, "2024-03-02");
+
+        expect(res.statusCode).toBe(400);
+    });
+
+    test("voiding a payment reopens a paid invoice", async function () {
+        const id = await addInvoice(100);
+        const resPay = await pay(id, 100, "2024-03-01");
+        expect(resPay.body.balance.invoice.paid).toBe(true);
+
+        const res = await request(app)
+            .delete(`/invoices/${id}/payments/${resPay.body.payment.id}`).set("X-API-Key", key);
+
+        expect(res.statusCode).toBe(200);
+        expect(res.body.balance).toMatchObject({ paid_total: "0.00", outstanding: "100.00" });
+        expect(res.body.balance.invoice.paid).toBe(false);
+        expect(await dateOf("invoices", "paid_date", id)).toBeNull();
+    });
+
+    test("lowering amt to what was paid pays the invoice, raising it reopens it", async function () {
+        const id = await addInvoice(100);
+        await pay(id, 80, "2024-03-01");
+
+        const resLower = await request(app).put(`/invoices/${id}`).set("X-API-Key", key).send({ amt: 80 });
+
+        expect(resLower.statusCode).toBe(200);
+        expect(resLower.body.invoice).toMatchObject({ amt: "80.00", paid: true, status: "paid" });
+        expect(await dateOf("invoices", "paid_date", id)).toBe("2024-03-01");
+
+        const resRaise = await request(app).put(`/invoices/${id}`).set("X-API-Key", key).send({ amt: 90 });
+
+        expect(resRaise.statusCode).toBe(200);
+        expect(resRaise.body.invoice).toMatchObject({ amt: "90.00", paid: false, paid_date: null });
+    });
+
+    test("paid and paid_date cannot be set by hand", async function () {
+        const id = await addInvoice(100);
+
+        const res = await request(app).put(`/invoices/${id}`).set("X-API-Key", key)
+            .send({ amt: 100, paid: true, paid_date: "2024-03-01" });
+
+        expect(res.statusCode).toBe(200);
+        expect(res.body.invoice.paid).toBe(false);
+        expect(await dateOf("invoices", "paid_date", id)).toBeNull();
+    });
+
+});
+
+
+describe("POST /invoices", function () {
+
+    test("an invoice added paid is paid by a payment of its amt on paid_date", async function () {
+        const res = await request(app).post("/invoices").set("X-API-Key", key)
+            .send({ comp_code: "acme", amt: 250, paid: true, paid_date: "2023-12-31" });
+
+        expect(res.statusCode).toBe(200);
+        expect(res.body.invoice).toMatchObject({ amt: "250.00", paid: true, status: "paid" });
+        expect(await dateOf("invoices", "paid_date", res.body.invoice.id)).toBe("2023-12-31");
+
+        const payments = await db.query(`SELECT amt, pay_date::text FROM payments WHERE inv_id = $1`,
+            [res.body.invoice.id]);
+        expect(payments.rows).toEqual([{ amt: "250.00", pay_date: "2023-12-31" }]);
+    });
+
+    test("paid without paid_date, or paid_date without paid, is a 400", async function () {
+        const resNoDate = await request(app).post("/invoices").set("X-API-Key", key)
+            .send({ comp_code: "acme", amt: 10, paid: true });
+        const resNoPaid = await request(app).post("/invoices").set("X-API-Key", key)
+            .send({ comp_code: "acme", amt: 10, paid: false, paid_date: "2020-01-01" });
+
+        expect(resNoDate.statusCode).toBe(400);
+        expect(resNoPaid.statusCode).toBe(400);
+        expect((await db.query(`SELECT id FROM invoices`)).rows).toEqual([]);
+    });
+
+});
+
+
+describe("POST /invoices/batch/pay", function () {
+
+    test("pays the balance of a partly paid invoice and leaves a paid one as it was", async function () {
+        const paidId = await addInvoice(100);
+        await pay(paidId, 100, "2024-01-15");
+        const partId = await addInvoice(100);
+        await pay(partId, 30, "2024-02-01");
+
+        const res = await request(app).post("/invoices/batch/pay").set("X-API-Key", key)
+            .send({ ids: [paidId, partId], paid_date: "2024-03-01" });
+
+        expect(res.statusCode).toBe(200);
+        expect(res.body).toMatchObject({ paid: 1, unchanged: 1 });
+        expect(res.body.results[0]).toMatchObject({ index: 0, result: "unchanged", payment: null });
+        expect(res.body.results[1]).toMatchObject({
+            index: 1, result: "paid", invoice: { id: partId, paid: true }, payment: { inv_id: partId, amt: "70.00" }
+        });
+
+        expect(await dateOf("invoices", "paid_date", paidId)).toBe("2024-01-15");
+        expect(await dateOf("invoices", "paid_date", partId)).toBe("2024-03-01");
+        expect(await dateOf("payments", "pay_date", res.body.results[1].payment.id)).toBe("2024-03-01");
+
+        const payments = await db.query(`SELECT inv_id, amt FROM payments WHERE voided = false ORDER BY id`);
+        expect(payments.rows).toEqual([
+            { inv_id: paidId, amt: "100.00" }, { inv_id: partId, amt: "30.00" }, { inv_id: partId, amt: "70.00" }
+        ]);
+    });
+
+    test("pays none of the invoices when one is not found", async function () {
+        const id = await addInvoice(100);
+
+        const res = await request(app).post("/invoices/batch/pay").set("X-API-Key", key)
+            .send({ ids: [id, 999] });
+
+        expect(res.statusCode).toBe(400);
+        expect((await db.query(`SELECT id FROM payments`)).rows).toEqual([]);
+    });
+
+});
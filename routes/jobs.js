@@ -0,0 +1,119 @@
+/** Routes for the background jobs of BizTime, see jobs.js. */
+
+const express = require("express");
+const { dbSelect, dbSelectPage } = require("../dbFunctions");
+const ExpressError = require("../expressError");
+const { JOBS, JOB_RUN_FIELDS, runJob } = require("../jobs");
+const { parseListQuery, nextPageLink } = require("../listQuery");
+const { dbError } = require("../problem");
+const { validate } = require("../validation");
+const router = express.Router();
+
+// filters and sorts allowed on GET /jobs.
+const JOB_RUN_LIST_OPTIONS = {
+    filters: {
+        job_name: { column: "job_name", op: "=", type: "text" },
+        status: { column: "status", op: "=", type: "text" },
+        as_of_from: { column: "as_of", op: ">=", type: "date" },
+        as_of_to: { column: "as_of", op: "<=", type: "date" }
+    },
+    sortFields: ["id", "started_at", "as_of"],
+    defaultSort: "id DESC"
+}
+
+// request schemas, see validate in validation.js.
+const JOB_RUN_READ = {
+    params: {
+        id: { type: "integer", required: true, min: 1 }
+    }
+}
+
+const JOB_RUN_CREATE = {
+    params: {
+        name: { type: "string", required: true, oneOf: Object.keys(JOBS) }
+    }
+}
+
+
+/** GET {/jobs}/ ; return {jobs: [{name, description}, ...], job_runs: [{id, job_name, as_of, status, ...}, ...], total, limit, offset, next} */
+router.get("/", async function (req, res, next) {
+    //  route returns the jobs and one page of their runs, latest first.
+    //
+    //  query string (all optional):
+    //      limit, offset           page size (default 50) and runs to skip
+    //      sort                    id, started_at or as_of; '-' in front sorts
+    //                               descending
+    //      job_name                ie. late-fees
+    //      status                  running, succeeded, skipped or failed
+    //      as_of_from, as_of_to    range of the day the run was for (YYYY-MM-DD),
+    //                               inclusive
+    //
+    //  return:
+    //      {jobs: [{name, description}, ...],
+    //       job_runs: [{id, job_name, as_of, status, started_at, finished_at,
+    //                   processed, result, error}, ...], total, limit, offset, next}
+
+    const listQuery = parseListQuery(req.query, JOB_RUN_LIST_OPTIONS);
+    if (listQuery.success === false) {
+        const errorValidation = new Error(listQuery.error);
+        errorValidation.status = 400;
+        return next(errorValidation);
+    }
+
+    const selectData = {
+        ...listQuery,
+        selectFields: JOB_RUN_FIELDS
+    }
+    const results = await dbSelectPage(selectData, "job_runs");
+
+    if (results.success) {
+        return res.json({
+            jobs: Object.entries(JOBS).map(([name, job]) => ({ name: name, description: job.description })),
+            job_runs: results.sqlReturn,
+            total: results.total,
+            limit: listQuery.limit,
+            offset: listQuery.offset,
+            next: nextPageLink(req, listQuery.limit, listQuery.offset, results.total)
+        });
+    } else {
+        return next(dbError(results.error.message));
+    }
+
+});
+
+
+/** GET {/jobs}/runs/[id] ; return {job_run: {id, job_name, as_of, status, started_at, finished_at, processed, result, error}} */
+router.get("/runs/:id", validate(JOB_RUN_READ), async function (req, res, next) {
+    //  route returns one run of a job, with what it processed in result.
+
+    const results = await dbSelect(
+        { criteria: { id: req.params.id }, selectFields: JOB_RUN_FIELDS }, "job_runs");
+
+    if (results.success) {
+        return res.json({ job_run: results.sqlReturn });
+    } else if (results.error.message === "not found") {
+        return next(new ExpressError(`A job run was not found for id '${req.params.id}'.`, 404));
+    } else {
+        return next(dbError(results.error.message));
+    }
+
+});
+
+
+/** POST {/jobs}/[name]/run ; return {job_run: {id, job_name, as_of, status, started_at, finished_at, processed, result, error}} */
+router.post("/:name/run", validate(JOB_RUN_CREATE), async function (req, res, next) {
+    //  route runs the job now, for today, rather than waiting for the next scheduled
+    //   run. Running a job again does not repeat what it already did.
+
+    const results = await runJob(req.params.name);
+
+    if (results.success) {
+        return res.json({ job_run: results.sqlReturn });
+    } else {
+        return next(dbError(results.error.message));
+    }
+
+});
+
+
+module.exports = router;
@@ -0,0 +1,239 @@
+/** Routes for recurring invoice schedules of BizTime.
+ *
+ *  The invoices of a schedule are added by the recurring-invoices job (see
+ *  recurringInvoices.js and jobs.js), not by these routes -- a new schedule is
+ *  billed on the next run, or right away with POST /jobs/recurring-invoices/run.
+ */
+
+const express = require("express");
+const { dbDelete, dbInsert, dbSelect, dbSelectPage, dbUpdate } = require("../dbFunctions");
+const { DEFAULT_CURRENCY } = require("../config");
+const ExpressError = require("../expressError");
+const { today, withStatus } = require("../invoiceStatus");
+const { parseListQuery, nextPageLink } = require("../listQuery");
+const { dbError } = require("../problem");
+const { INTERVAL_UNITS } = require("../recurringInvoices");
+const { CURRENCY_PATTERN, validate, argumentsFrom } = require("../validation");
+const router = express.Router();
+
+// filters and sorts allowed on GET /recurring-invoices.
+const RECURRING_LIST_OPTIONS = {
+    filters: {
+        comp_code: { column: "comp_code", op: "=", type: "text" },
+        interval_unit: { column: "interval_unit", op: "=", type: "text" },
+        next_run_from: { column: "next_run_date", op: ">=", type: "date" },
+        next_run_to: { column: "next_run_date", op: "<=", type: "date" }
+    },
+    sortFields: ["id", "comp_code", "amt", "next_run_date"],
+    defaultSort: "id ASC"
+}
+
+const RECURRING_FIELDS =
+    "id, comp_code, amt, currency, interval_unit, interval_count, start_date, end_date, next_run_date, periods_billed";
+
+// request schemas, see validate in validation.js.
+const RECURRING_ID = {
+    id: { type: "integer", required: true, min: 1 }
+}
+
+const RECURRING_FIELD_RULES = {
+    comp_code: { type: "string", required: true, maxLength: 50 },
+    amt: { type: "number", required: true, greaterThan: 0, max: 9999999999.99, maxDecimals: 2 },
+    currency: {
+        type: "string", pattern: CURRENCY_PATTERN,
+        patternMessage: "must be a 3 letter currency code, ie. USD"
+    },
+    interval_unit: { type: "string", required: true, oneOf: INTERVAL_UNITS },
+    interval_count: { type: "integer", min: 1, max: 366 },
+    start_date: { type: "date" },
+    end_date: { type: "date", nullable: true }
+}
+
+const RECURRING_CREATE = {
+    body: RECURRING_FIELD_RULES
+}
+
+const RECURRING_UPDATE = {
+    params: RECURRING_ID,
+    body: {
+        amt: { ...RECURRING_FIELD_RULES.amt, required: false },
+        currency: RECURRING_FIELD_RULES.currency,
+        end_date: RECURRING_FIELD_RULES.end_date
+    },
+    minBodyFields: 1
+}
+
+const RECURRING_LOOKUP = {
+    params: RECURRING_ID
+}
+
+
+function notFound(id) {
+    // returns the 404 error for a schedule that does not exist.
+    return new ExpressError(`A recurring invoice was not found for id '${id}'.`, 404);
+}
+
+
+/** GET {/recurring-invoices}/ ; return {recurring_invoices: [{id, comp_code, amt, currency, interval_unit, ...}, ...], total, limit, offset, next} */
+router.get("/", async function (req, res, next) {
+    //  route returns one page of recurring invoice schedules.
+    //
+    //  query string (all optional):
+    //      limit, offset                   page size (default 50) and rows to skip
+    //      sort                            id, comp_code, amt or next_run_date; '-' in
+    //                                       front sorts descending
+    //      comp_code                       company code
+    //      interval_unit                   day, week, month or year
+    //      next_run_from, next_run_to      next_run_date range (YYYY-MM-DD), inclusive
+    //
+    //  return:
+    //      {recurring_invoices: [{id, comp_code, amt, currency, interval_unit,
+    //          interval_count, start_date, end_date, next_run_date, periods_billed}, ...],
+    //       total, limit, offset, next}
+
+    const listQuery = parseListQuery(req.query, RECURRING_LIST_OPTIONS);
+    if (listQuery.success === false) {
+        const errorValidation = new Error(listQuery.error);
+        errorValidation.status = 400;
+        return next(errorValidation);
+    }
+
+    const selectData = {
+        ...listQuery,
+        selectFields: RECURRING_FIELDS
+    }
+    const results = await dbSelectPage(selectData, "recurring_invoices");
+
+    if (results.success) {
+        return res.json({
+            recurring_invoices: results.sqlReturn,
+            total: results.total,
+            limit: listQuery.limit,
+            offset: listQuery.offset,
+            next: nextPageLink(req, listQuery.limit, listQuery.offset, results.total)
+        });
+    } else {
+        return next(dbError(results.error.message));
+    }
+
+});
+
+
+/** GET {/recurring-invoices}/[id] ; return {recurring_invoice: {id, comp_code, amt, ..., invoices: [...]}} */
+router.get("/:id", validate(RECURRING_LOOKUP), async function (req, res, next) {
+    //  route returns a schedule with the invoices it has added, oldest period first:
+    //      {recurring_invoice: {id, comp_code, amt, currency, interval_unit,
+    //          interval_count, start_date, end_date, next_run_date, periods_billed,
+    //          invoices: [{id, period_date, amt, currency, paid, due_date, status}, ...]}}
+
+    const resultsSchedule = await dbSelect(
+        { criteria: { id: req.params.id }, selectFields: RECURRING_FIELDS }, "recurring_invoices");
+    if (resultsSchedule.success === false) {
+        if (resultsSchedule.error.message === "not found") {
+            return next(notFound(req.params.id));
+        }
+        return next(dbError(resultsSchedule.error.message));
+    }
+
+    const resultsInvoices = await dbSelect({
+        criteria: { recurring_id: req.params.id, deleted_at: null },
+        selectFields: "id, period_date, amt, currency, paid, due_date"
+    }, "invoices");
+    if (resultsInvoices.success === false && resultsInvoices.error.message !== "not found") {
+        return next(dbError(resultsInvoices.error.message));
+    }
+
+    const schedule = resultsSchedule.sqlReturn;
+    schedule.invoices = resultsInvoices.success
+        ? withStatus([].concat(resultsInvoices.sqlReturn).sort((a, b) => a.period_date - b.period_date))
+        : [];
+    return res.json({ recurring_invoice: schedule });
+
+});
+
+
+/** POST {/recurring-invoices}/ ; return {recurring_invoice: {id, comp_code, amt, currency, interval_unit, ...}} */
+router.post("/", validate(RECURRING_CREATE), async function (req, res, next) {
+    //  route adds a schedule billing comp_code amt every interval_count (default 1)
+    //   interval_units from start_date (default today) until end_date (optional,
+    //   open ended when left out). currency defaults to BIZTIME_DEFAULT_CURRENCY.
+    //   A start_date in the past is caught up on the next run of the job.
+
+    const resultsCompany = await dbSelect(
+        { criteria: { code: req.body.comp_code, deleted_at: null }, selectFields: "code" }, "companies");
+    if (resultsCompany.success === false) {
+        if (resultsCompany.error.message !== "not found") {
+            return next(dbError(resultsCompany.error.message));
+        }
+        const errorCompany = new ExpressError(`comp_code '${req.body.comp_code}' does not exist.`, 422);
+        errorCompany.field = "comp_code";
+        return next(errorCompany);
+    }
+
+    // period 0 is the first one billed.
+    const startDate = req.body.start_date || today();
+    const insertData = argumentsFrom(
+        ["comp_code", "amt", "currency", "interval_unit", "interval_count", "start_date", "end_date",
+            "next_run_date"],
+        { currency: DEFAULT_CURRENCY, ...req.body, start_date: startDate, next_run_date: startDate });
+
+    const resultsInsert = await dbInsert(insertData, "recurring_invoices", RECURRING_FIELDS);
+
+    if (resultsInsert.success) {
+        return res.json({ recurring_invoice: resultsInsert.sqlReturn });
+    } else {
+        return next(dbError(resultsInsert.error.message));
+    }
+
+});
+
+
+/** PUT {/recurring-invoices}/[id] ; return {recurring_invoice: {id, comp_code, amt, currency, interval_unit, ...}} */
+router.put("/:id", validate(RECURRING_UPDATE), async function (req, res, next) {
+    //  route changes the amt, currency or end_date (null for open ended) of a
+    //   schedule. Invoices already added keep theirs. The company and interval
+    //   cannot change -- delete the schedule and add a new one.
+
+    const updateData = argumentsFrom(["amt", "currency", "end_date"], req.body);
+
+    const resultsUpdate = await dbUpdate({ pk: "id", value: req.params.id }, updateData, "recurring_invoices");
+    if (resultsUpdate.success === false) {
+        if (resultsUpdate.error.message === "not found") {
+            return next(notFound(req.params.id));
+        }
+        return next(dbError(resultsUpdate.error.message));
+    }
+
+    const resultsSchedule = await dbSelect(
+        { criteria: { id: req.params.id }, selectFields: RECURRING_FIELDS }, "recurring_invoices");
+    if (resultsSchedule.success) {
+        return res.json({ recurring_invoice: resultsSchedule.sqlReturn });
+    } else {
+        return next(dbError(resultsSchedule.error.message));
+    }
+
+});
+
+
+/** DELETE {/recurring-invoices}/[id] ; return {deleted: [{id, comp_code, amt, currency, interval_unit, ...}]} */
+router.delete("/:id", validate(RECURRING_LOOKUP), async function (req, res, next) {
+    //  route removes a schedule. Invoices it already added are kept.
+
+    const deleteData = {
+        criteria: { id: req.params.id },
+        argumentsName: RECURRING_FIELDS
+    }
+    const resultsDelete = await dbDelete(deleteData, "recurring_invoices");
+
+    if (resultsDelete.success) {
+        return res.json({ deleted: resultsDelete.deleted });
+    } else if (resultsDelete.error.message === "not found") {
+        return next(notFound(req.params.id));
+    } else {
+        return next(dbError(resultsDelete.error.message));
+    }
+
+});
+
+
+module.exports = router;
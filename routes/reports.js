@@ -0,0 +1,378 @@
+/** Routes for financial reports of BizTime.
+ *
+ *  Every report is computed with SQL aggregates over the invoices (and their
+ *  payments) that are not deleted. from / to on the query string bound the
+ *  report to invoices added in that range, inclusive; revenue collected is
+ *  bounded by the date it was collected.
+ *
+ *  Amounts are in the reporting currency, currency= on the query string or
+ *  BIZTIME_DEFAULT_CURRENCY (see config.js). 422 is returned when an invoice
+ *  currency has no exchange rate to it.
+ */
+
+const db = require("../db");
+const express = require("express");
+const ExpressError = require("../expressError");
+const { AGING_BUCKETS, agingBucketSql, emptyAging, invoiceBalancesSql } = require("../aging");
+const { DEFAULT_CURRENCY } = require("../config");
+const { fromCents, missingRateError, toCents } = require("../money");
+const { CURRENCY_PATTERN, validate } = require("../validation");
+const router = express.Router();
+
+// request schemas, see validate in validation.js.
+const DATE_RANGE = {
+    from: { type: "date" },
+    to: { type: "date" }
+}
+
+const REPORT_CURRENCY = {
+    type: "string", pattern: CURRENCY_PATTERN,
+    patternMessage: "must be a 3 letter currency code, ie. USD"
+}
+
+const REPORT_RANGE = {
+    query: DATE_RANGE
+}
+
+const REPORT_AGING = {
+    query: {
+        ...DATE_RANGE,
+        currency: REPORT_CURRENCY
+    }
+}
+
+const REPORT_REVENUE = {
+    query: {
+        ...DATE_RANGE,
+        currency: REPORT_CURRENCY,
+        group_by: { type: "string", oneOf: ["day", "week", "month", "year"] }
+    }
+}
+
+const REPORT_TOP_DEBTORS = {
+    query: {
+        ...DATE_RANGE,
+        currency: REPORT_CURRENCY,
+        limit: { type: "integer", min: 1, max: 100 }
+    }
+}
+
+const DEFAULT_GROUP_BY = "month";
+const DEFAULT_TOP_DEBTORS = 10;
+
+
+function checkDateRange(req, res, next) {
+    // middleware passing on a 400 when the from date of the report is after to.
+
+    if (req.query.from !== undefined && req.query.to !== undefined && req.query.from > req.query.to) {
+        const errorValidation = new ExpressError("from must be on or before to.", 400);
+        errorValidation.field = "from";
+        return next(errorValidation);
+    }
+    return next();
+
+}
+
+
+function missingRates(rows) {
+    // returns the currencies in the missing_rates column of every row, or [] when none.
+    return rows.flatMap(row => row.missing_rates || []);
+}
+
+
+/** GET {/reports}/aging ; return {aging: {from, to, currency, companies: [...], totals}} */
+router.get("/aging", validate(REPORT_AGING), checkDateRange, async function (req, res, next) {
+    //  route returns the receivables aging of every company with an outstanding
+    //   balance. Balances are as of to, or today when to is not given (see aging.js).
+    //
+    //  return:
+    //      {aging: {
+    //          from, to, currency,
+    //          companies: [{code, name, outstanding,
+    //                       aging: {current, "1-30", "31-60", "61-90", "90+"}}, ...],
+    //          totals: {outstanding, aging: {current, "1-30", "31-60", "61-90", "90+"}}
+    //      }}
+
+    const from = req.query.from || null;
+    const to = req.query.to || null;
+    const currency = req.query.currency || DEFAULT_CURRENCY;
+
+    // one column of outstanding amounts per bucket, ie. "1-30".
+    const bucketColumns = AGING_BUCKETS.map((bucket, idx) =>
+        `COALESCE(SUM(b.outstanding_converted)
+            FILTER (WHERE ${agingBucketSql("b.days_overdue")} = '${bucket.name}'), 0) AS bucket_${idx}`);
+
+    try {
+        const results = await db.query(
+            `SELECT c.code, c.name,
+                SUM(b.outstanding_converted) AS outstanding,
+                ${bucketColumns.join(",\n")},
+                ARRAY_AGG(DISTINCT b.currency) FILTER (WHERE b.outstanding_converted IS NULL)
+                    AS missing_rates
+            FROM ${invoiceBalancesSql("$1", "$3")}
+                JOIN companies AS c ON c.code = b.comp_code
+            WHERE b.outstanding > 0
+                AND ($2::date IS NULL OR b.add_date >= $2::date)
+            GROUP BY c.code, c.name
+            ORDER BY c.code`, [to, from, currency]
+        );
+
+        if (missingRates(results.rows).length > 0) {
+            throw missingRateError(missingRates(results.rows), currency);
+        }
+
+        // totals are kept in cents so they add up exactly.
+        const totals = { outstanding: 0, aging: emptyAging() };
+
+        const companies = results.rows.map(row => {
+            const aging = {};
+            AGING_BUCKETS.forEach((bucket, idx) => {
+                aging[bucket.name] = row[`bucket_${idx}`];
+                totals.aging[bucket.name] += toCents(aging[bucket.name]);
+            });
+            totals.outstanding += toCents(row.outstanding);
+
+            return {
+                code: row.code,
+                name: row.name,
+                outstanding: row.outstanding,
+                aging: aging
+            };
+        });
+
+        return res.json({
+            aging: {
+                from: from,
+                to: to,
+                currency: currency,
+                companies: companies,
+                totals: {
+                    outstanding: fromCents(totals.outstanding),
+                    aging: Object.fromEntries(
+                        Object.entries(totals.aging).map(([bucket, cents]) => [bucket, fromCents(cents)]))
+                }
+            }
+        });
+
+    } catch (error) {
+        return next(error);
+    }
+
+});
+
+
+/** GET {/reports}/revenue ; return {revenue: {group_by, from, to, currency, periods: [{period, billed, collected}, ...], totals}} */
+router.get("/revenue", validate(REPORT_REVENUE), checkDateRange, async function (req, res, next) {
+    //  route returns the revenue billed (invoice amounts by add_date) and collected
+    //   (payments by pay_date, excluding voided payments) for each period. Each
+    //   amount is converted at the exchange rate in effect on the day it was billed
+    //   or collected.
+    //
+    //  query string (all optional):
+    //      group_by    day, week, month (default) or year. Weeks start on Monday.
+    //      from, to    invoices added / payments made in this range (YYYY-MM-DD)
+    //      currency    the reporting currency
+    //
+    //  An invoice marked paid without any payments (paid set directly) is
+    //   collected in full on its paid_date.
+    //
+    //  return:
+    //      {revenue: {group_by, from, to, currency,
+    //                 periods: [{period, billed, collected}, ...],  // oldest first
+    //                 totals: {billed, collected}}}
+    //      period is the first day of the period. Periods without revenue are left out.
+
+    const groupBy = req.query.group_by || DEFAULT_GROUP_BY;
+    const from = req.query.from || null;
+    const to = req.query.to || null;
+    const currency = req.query.currency || DEFAULT_CURRENCY;
+
+    try {
+        const results = await db.query(
+            `WITH billings AS (
+                SELECT i.add_date AS billed_on, i.currency,
+                    convert_amount(i.amt, i.currency, $4, i.add_date) AS amt
+                FROM invoices AS i
+                WHERE i.deleted_at IS NULL
+                    AND ($2::date IS NULL OR i.add_date >= $2::date)
+                    AND ($3::date IS NULL OR i.add_date <= $3::date)
+            ),
+            billed AS (
+                SELECT date_trunc($1, billed_on::timestamp)::date AS period,
+                    SUM(amt) AS billed,
+                    ARRAY_AGG(DISTINCT currency) FILTER (WHERE amt IS NULL) AS missing_rates
+                FROM billings
+                GROUP BY 1
+            ),
+            collections AS (
+                SELECT p.pay_date AS collected_on, i.currency, p.amt
+                FROM payments AS p
+                    JOIN invoices AS i ON i.id = p.inv_id
+                WHERE p.voided = false
+                    AND i.deleted_at IS NULL
+                UNION ALL
+                SELECT i.paid_date, i.currency, i.amt
+                FROM invoices AS i
+                WHERE i.paid AND i.paid_date IS NOT NULL
+                    AND i.deleted_at IS NULL
+                    AND NOT EXISTS (
+                        SELECT 1 FROM payments AS p WHERE p.inv_id = i.id AND p.voided = false)
+            ),
+            collected AS (
+                SELECT date_trunc($1, collected_on::timestamp)::date AS period,
+                    SUM(convert_amount(amt, currency, $4, collected_on)) AS collected,
+                    ARRAY_AGG(DISTINCT currency)
+                        FILTER (WHERE convert_amount(amt, currency, $4, collected_on) IS NULL)
+                        AS missing_rates
+                FROM collections
+                WHERE ($2::date IS NULL OR collected_on >= $2::date)
+                    AND ($3::date IS NULL OR collected_on <= $3::date)
+                GROUP BY 1
+            )
+            SELECT COALESCE(b.period, c.period) AS period,
+                COALESCE(b.billed, 0) AS billed,
+                COALESCE(c.collected, 0) AS collected,
+                ARRAY(SELECT unnest(b.missing_rates) UNION SELECT unnest(c.missing_rates))
+                    AS missing_rates
+            FROM billed AS b
+                FULL JOIN collected AS c ON c.period = b.period
+            ORDER BY 1`, [groupBy, from, to, currency]
+        );
+
+        if (missingRates(results.rows).length > 0) {
+            throw missingRateError(missingRates(results.rows), currency);
+        }
+
+        // totals are kept in cents so they add up exactly.
+        const totals = { billed: 0, collected: 0 };
+        const periods = results.rows.map(row => {
+            totals.billed += toCents(row.billed);
+            totals.collected += toCents(row.collected);
+            return {
+                period: row.period,
+                billed: row.billed,
+                collected: row.collected
+            };
+        });
+
+        return res.json({
+            revenue: {
+                group_by: groupBy,
+                from: from,
+                to: to,
+                currency: currency,
+                periods: periods,
+                totals: {
+                    billed: fromCents(totals.billed),
+                    collected: fromCents(totals.collected)
+                }
+            }
+        });
+
+    } catch (error) {
+        return next(error);
+    }
+
+});
+
+
+/** GET {/reports}/top-debtors ; return {top_debtors: {from, to, currency, companies: [{code, name, outstanding, open_invoices, oldest_add_date}, ...]}} */
+router.get("/top-debtors", validate(REPORT_TOP_DEBTORS), checkDateRange, async function (req, res, next) {
+    //  route returns the companies that owe the most, largest outstanding balance
+    //   first. Balances are as of to, or today when to is not given.
+    //
+    //  query string (all optional):
+    //      limit       the number of companies, 1 to 100 (default 10)
+    //      from, to    invoices added in this range (YYYY-MM-DD)
+    //      currency    the reporting currency
+    //
+    //  return:
+    //      {top_debtors: {from, to, currency,
+    //                     companies: [{code, name, outstanding, open_invoices,
+    //                                  oldest_add_date}, ...]}}
+
+    const from = req.query.from || null;
+    const to = req.query.to || null;
+    const limit = req.query.limit || DEFAULT_TOP_DEBTORS;
+    const currency = req.query.currency || DEFAULT_CURRENCY;
+
+    try {
+        // a missing exchange rate would leave a company out of the ranking, so the
+        //  currencies are checked before the ranking is trusted.
+        const resultsRates = await db.query(
+            `SELECT ARRAY_AGG(DISTINCT b.currency) AS missing_rates
+            FROM ${invoiceBalancesSql("$1", "$3")}
+            WHERE b.outstanding > 0
+                AND b.outstanding_converted IS NULL
+                AND ($2::date IS NULL OR b.add_date >= $2::date)`, [to, from, currency]
+        );
+        if (missingRates(resultsRates.rows).length > 0) {
+            throw missingRateError(missingRates(resultsRates.rows), currency);
+        }
+
+        const results = await db.query(
+            `SELECT c.code, c.name,
+                SUM(b.outstanding_converted) AS outstanding,
+                COUNT(*)::integer AS open_invoices,
+                MIN(b.add_date) AS oldest_add_date
+            FROM ${invoiceBalancesSql("$1", "$3")}
+                JOIN companies AS c ON c.code = b.comp_code
+            WHERE b.outstanding > 0
+                AND ($2::date IS NULL OR b.add_date >= $2::date)
+            GROUP BY c.code, c.name
+            ORDER BY SUM(b.outstanding_converted) DESC, c.code
+            LIMIT $4`, [to, from, currency, limit]
+        );
+
+        return res.json({
+            top_debtors: { from: from, to: to, currency: currency, companies: results.rows }
+        });
+
+    } catch (error) {
+        return next(error);
+    }
+
+});
+
+
+/** GET {/reports}/days-to-pay ; return {days_to_pay: {from, to, companies: [{code, name, paid_invoices, avg_days_to_pay}, ...]}} */
+router.get("/days-to-pay", validate(REPORT_RANGE), checkDateRange, async function (req, res, next) {
+    //  route returns the average days from add_date to paid_date of the paid
+    //   invoices of each company, rounded to a tenth of a day. Companies without
+    //   paid invoices are left out.
+    //
+    //  query string (all optional):
+    //      from, to    invoices added in this range (YYYY-MM-DD)
+    //
+    //  return:
+    //      {days_to_pay: {from, to,
+    //                     companies: [{code, name, paid_invoices, avg_days_to_pay}, ...]}}
+
+    const from = req.query.from || null;
+    const to = req.query.to || null;
+
+    try {
+        const results = await db.query(
+            `SELECT c.code, c.name,
+                COUNT(*)::integer AS paid_invoices,
+                ROUND(AVG(i.paid_date - i.add_date), 1)::float AS avg_days_to_pay
+            FROM invoices AS i
+                JOIN companies AS c ON c.code = i.comp_code
+            WHERE i.paid AND i.paid_date IS NOT NULL
+                AND i.deleted_at IS NULL
+                AND ($1::date IS NULL OR i.add_date >= $1::date)
+                AND ($2::date IS NULL OR i.add_date <= $2::date)
+            GROUP BY c.code, c.name
+            ORDER BY c.code`, [from, to]
+        );
+
+        return res.json({ days_to_pay: { from: from, to: to, companies: results.rows } });
+
+    } catch (error) {
+        return next(error);
+    }
+
+});
+
+
+module.exports = router;
@@ -0,0 +1,96 @@
+/** Routes for searching BizTime.
+ *
+ *  Companies are found by full-text search over their code, name and
+ *  description (see company_search_vector in the 013 migration), ranked with
+ *  ts_rank, and by trigram similarity of their code and name, so a misspelled
+ *  name still finds the company. Deleted companies are not searched.
+ */
+
+const db = require("../db");
+const { paidTotalSql } = require("../aging");
+const express = require("express");
+const { withStatus } = require("../invoiceStatus");
+const { validate } = require("../validation");
+const router = express.Router();
+
+const DEFAULT_SEARCH_LIMIT = 20;
+
+// request schemas, see validate in validation.js.
+const SEARCH = {
+    query: {
+        q: { type: "string", required: true, maxLength: 200 },
+        limit: { type: "integer", min: 1, max: 100 },
+        include_invoices: { type: "boolean" }
+    }
+}
+
+
+/** GET {/search}/ ; return {search: {q, companies: [{code, name, description, score, invoices}, ...]}} */
+router.get("/", validate(SEARCH), async function (req, res, next) {
+    //  route returns the companies that match q, best match first. q is words as
+    //   typed in a search box -- "quoted phrases", or, and -word to leave out
+    //   work as in web searches. A company whose code is q comes first.
+    //
+    //  query string:
+    //      q                   required, what to look for
+    //      limit               optional, the most companies, 1 to 100 (default 20)
+    //      include_invoices    optional, true adds the open (unpaid) invoices of
+    //                           each company, oldest due first
+    //
+    //  return:
+    //      {search: {q, companies: [{code, name, description, score,
+    //          invoices: [{id, amt, currency, due_date, outstanding, status}, ...]}, ...]}}
+    //      score is the full-text rank plus the trigram similarity; invoices is
+    //       only there with include_invoices=true.
+
+    const q = req.query.q.trim();
+    const limit = req.query.limit || DEFAULT_SEARCH_LIMIT;
+
+    try {
+        const results = await db.query(
+            `WITH search AS (
+                SELECT websearch_to_tsquery('english', $1) AS query, lower($1) AS term
+            )
+            SELECT c.code, c.name, c.description,
+                round((ts_rank(company_search_vector(c.code, c.name, c.description), s.query)
+                    + GREATEST(similarity(c.code, s.term), similarity(lower(c.name), s.term),
+                        word_similarity(s.term, lower(c.name))))::numeric, 4)::float AS score
+            FROM companies AS c, search AS s
+            WHERE c.deleted_at IS NULL
+                AND (company_search_vector(c.code, c.name, c.description) @@ s.query
+                    OR c.code % s.term
+                    OR c.name % s.term
+                    OR s.term <% lower(c.name))
+            ORDER BY (c.code = s.term) DESC, score DESC, c.name
+            LIMIT $2`, [q, limit]
+        );
+        const companies = results.rows;
+
+        if (req.query.include_invoices && companies.length > 0) {
+            const resultsInvoices = await db.query(
+                `SELECT i.id, i.comp_code, i.amt, i.currency, i.paid, i.due_date,
+                    i.amt - paid.paid_total AS outstanding
+                FROM invoices AS i
+                    CROSS JOIN ${paidTotalSql(null)}
+                WHERE i.comp_code = ANY($1) AND i.paid = false AND i.deleted_at IS NULL
+                ORDER BY i.due_date, i.id`, [companies.map(company => company.code)]
+            );
+            withStatus(resultsInvoices.rows);
+
+            for (const company of companies) {
+                company.invoices = resultsInvoices.rows
+                    .filter(invoice => invoice.comp_code === company.code)
+                    .map(({ comp_code, paid, ...invoice }) => invoice);
+            }
+        }
+
+        return res.json({ search: { q: q, companies: companies } });
+
+    } catch (error) {
+        return next(error);
+    }
+
+});
+
+
+module.exports = router;
@@ -0,0 +1,321 @@
+/** Routes for webhook subscriptions of BizTime.
+ *
+ *  A subscription is sent the events it lists (see webhookEvents.js) as signed
+ *  JSON (see webhooks.js). Each event sent is a delivery; the deliveries of a
+ *  subscription are its log. Every route needs an admin key.
+ */
+
+const crypto = require("crypto");
+const express = require("express");
+const { requireRole } = require("../auth");
+const { dbDelete, dbInsert, dbSelect, dbSelectPage, dbUpdate } = require("../dbFunctions");
+const ExpressError = require("../expressError");
+const { parseListQuery, nextPageLink } = require("../listQuery");
+const { dbError } = require("../problem");
+const { validate, argumentsFrom } = require("../validation");
+const { WEBHOOK_EVENTS } = require("../webhookEvents");
+const router = express.Router();
+
+// subscriptions decide where our data is sent -- reading them is for admins too.
+router.use(requireRole("admin"));
+
+// the fields of a subscription that are safe to return -- the secret is only
+//  returned when the subscription is added.
+const SUBSCRIPTION_FIELDS = "id, url, events, active, created_at";
+
+const DELIVERY_FIELDS = "id, subscription_id, event, payload, status, attempts, created_at, "
+    + "next_attempt_at, last_attempt_at, response_status, last_error, delivered_at";
+
+// filters and sorts allowed on GET /webhooks.
+const SUBSCRIPTION_LIST_OPTIONS = {
+    filters: {
+        active: { column: "active", op: "=", type: "boolean" }
+    },
+    sortFields: ["id", "created_at"],
+    defaultSort: "id ASC"
+}
+
+// filters and sorts allowed on GET /webhooks/[id]/deliveries.
+const DELIVERY_LIST_OPTIONS = {
+    filters: {
+        status: { column: "status", op: "=", type: "text" },
+        event: { column: "event", op: "=", type: "text" },
+        created_from: { column: "created_at", op: ">=", type: "date" },
+        created_before: { column: "created_at", op: "<", type: "date" }
+    },
+    sortFields: ["id", "created_at", "next_attempt_at"],
+    defaultSort: "id DESC"
+}
+
+// request schemas, see validate in validation.js.
+const SUBSCRIPTION_ID = {
+    id: { type: "integer", required: true, min: 1 }
+}
+
+const SUBSCRIPTION_FIELD_RULES = {
+    url: {
+        type: "string", required: true, maxLength: 2000, pattern: /^https?:\/\/[^\s/?#]+\S*$/i,
+        patternMessage: "must be an http or https url"
+    },
+    events: {
+        type: "array", required: true, minItems: 1, maxItems: WEBHOOK_EVENTS.length,
+        each: { type: "string", oneOf: WEBHOOK_EVENTS }
+    },
+    active: { type: "boolean" }
+}
+
+const SUBSCRIPTION_CREATE = {
+    body: {
+        ...SUBSCRIPTION_FIELD_RULES,
+        secret: { type: "string", minLength: 16, maxLength: 200 }
+    }
+}
+
+const SUBSCRIPTION_UPDATE = {
+    params: SUBSCRIPTION_ID,
+    body: {
+        url: { ...SUBSCRIPTION_FIELD_RULES.url, required: false },
+        events: { ...SUBSCRIPTION_FIELD_RULES.events, required: false },
+        active: SUBSCRIPTION_FIELD_RULES.active
+    },
+    minBodyFields: 1
+}
+
+const SUBSCRIPTION_LOOKUP = {
+    params: SUBSCRIPTION_ID
+}
+
+const DELIVERY_RETRY = {
+    params: {
+        ...SUBSCRIPTION_ID,
+        deliveryId: { type: "integer", required: true, min: 1 }
+    }
+}
+
+
+function notFound(id) {
+    // returns the 404 error for a subscription that does not exist.
+    return new ExpressError(`A webhook subscription was not found for id '${id}'.`, 404);
+}
+
+
+function listError(listQuery) {
+    // returns the 400 error for invalid list parameters.
+    const errorValidation = new Error(listQuery.error);
+    errorValidation.status = 400;
+    return errorValidation;
+}
+
+
+/** GET {/webhooks}/ ; return {webhooks: [{id, url, events, active, created_at}, ...], events, total, limit, offset, next} */
+router.get("/", async function (req, res, next) {
+    //  route returns one page of webhook subscriptions, and every event there is
+    //   to subscribe to.
+    //
+    //  query string (all optional):
+    //      limit, offset   page size (default 50) and rows to skip
+    //      sort            id or created_at; '-' in front sorts descending
+    //      active          true / false
+
+    const listQuery = parseListQuery(req.query, SUBSCRIPTION_LIST_OPTIONS);
+    if (listQuery.success === false) {
+        return next(listError(listQuery));
+    }
+
+    const results = await dbSelectPage({ ...listQuery, selectFields: SUBSCRIPTION_FIELDS }, "webhook_subscriptions");
+
+    if (results.success) {
+        return res.json({
+            webhooks: results.sqlReturn,
+            events: WEBHOOK_EVENTS,
+            total: results.total,
+            limit: listQuery.limit,
+            offset: listQuery.offset,
+            next: nextPageLink(req, listQuery.limit, listQuery.offset, results.total)
+        });
+    } else {
+        return next(dbError(results.error.message));
+    }
+
+});
+
+
+/** GET {/webhooks}/[id] ; return {webhook: {id, url, events, active, created_at}} */
+router.get("/:id", validate(SUBSCRIPTION_LOOKUP), async function (req, res, next) {
+    //  route returns one subscription.
+
+    const results = await dbSelect(
+        { criteria: { id: req.params.id }, selectFields: SUBSCRIPTION_FIELDS }, "webhook_subscriptions");
+
+    if (results.success) {
+        return res.json({ webhook: results.sqlReturn });
+    } else if (results.error.message === "not found") {
+        return next(notFound(req.params.id));
+    } else {
+        return next(dbError(results.error.message));
+    }
+
+});
+
+
+/** POST {/webhooks}/ ; return {webhook: {id, url, events, active, created_at, secret}} */
+router.post("/", validate(SUBSCRIPTION_CREATE), async function (req, res, next) {
+    //  route adds a subscription of url to events. secret, the key deliveries are
+    //   signed with, is made up when it is not given. This is the only response
+    //   the secret is in -- keep it.
+
+    const secret = req.body.secret || `whsec_${crypto.randomBytes(24).toString("hex")}`;
+    const insertData = argumentsFrom(["url", "events", "active", "secret"], {
+        ...req.body,
+        events: [...new Set(req.body.events)],
+        secret: secret
+    });
+
+    const resultsInsert = await dbInsert(insertData, "webhook_subscriptions", SUBSCRIPTION_FIELDS);
+
+    if (resultsInsert.success) {
+        return res.json({ webhook: { ...resultsInsert.sqlReturn, secret: secret } });
+    } else {
+        return next(dbError(resultsInsert.error.message));
+    }
+
+});
+
+
+/** PUT {/webhooks}/[id] ; return {webhook: {id, url, events, active, created_at}} */
+router.put("/:id", validate(SUBSCRIPTION_UPDATE), async function (req, res, next) {
+    //  route changes the url, events or active of a subscription. An inactive
+    //   subscription is not sent new events, and its pending deliveries wait until
+    //   it is active again.
+
+    const updateData = argumentsFrom(["url", "events", "active"], {
+        ...req.body,
+        events: req.body.events && [...new Set(req.body.events)]
+    });
+
+    const resultsUpdate = await dbUpdate({ pk: "id", value: req.params.id }, updateData, "webhook_subscriptions");
+    if (resultsUpdate.success === false) {
+        if (resultsUpdate.error.message === "not found") {
+            return next(notFound(req.params.id));
+        }
+        return next(dbError(resultsUpdate.error.message));
+    }
+
+    const results = await dbSelect(
+        { criteria: { id: req.params.id }, selectFields: SUBSCRIPTION_FIELDS }, "webhook_subscriptions");
+    if (results.success) {
+        return res.json({ webhook: results.sqlReturn });
+    } else {
+        return next(dbError(results.error.message));
+    }
+
+});
+
+
+/** DELETE {/webhooks}/[id] ; return {deleted: [{id, url, events, active, created_at}]} */
+router.delete("/:id", validate(SUBSCRIPTION_LOOKUP), async function (req, res, next) {
+    //  route removes a subscription along with its deliveries.
+
+    const deleteData = {
+        criteria: { id: req.params.id },
+        argumentsName: SUBSCRIPTION_FIELDS
+    }
+    const resultsDelete = await dbDelete(deleteData, "webhook_subscriptions");
+
+    if (resultsDelete.success) {
+        return res.json({ deleted: resultsDelete.deleted });
+    } else if (resultsDelete.error.message === "not found") {
+        return next(notFound(req.params.id));
+    } else {
+        return next(dbError(resultsDelete.error.message));
+    }
+
+});
+
+
+/** GET {/webhooks}/[id]/deliveries ; return {deliveries: [{id, event, payload, status, attempts, ...}, ...], total, limit, offset, next} */
+router.get("/:id/deliveries", validate(SUBSCRIPTION_LOOKUP), async function (req, res, next) {
+    //  route returns one page of the delivery log of a subscription, latest first.
+    //
+    //  query string (all optional):
+    //      limit, offset       page size (default 50) and rows to skip
+    //      sort                id, created_at or next_attempt_at; '-' in front
+    //                           sorts descending
+    //      status              pending, delivered or failed
+    //      event               ie. invoice.paid
+    //      created_from        deliveries queued on or after this date (YYYY-MM-DD)
+    //      created_before      deliveries queued before this date (YYYY-MM-DD)
+    //
+    //  return:
+    //      {deliveries: [{id, subscription_id, event, payload, status, attempts,
+    //          created_at, next_attempt_at, last_attempt_at, response_status,
+    //          last_error, delivered_at}, ...], total, limit, offset, next}
+
+    const resultsSubscription = await dbSelect(
+        { criteria: { id: req.params.id }, selectFields: "id" }, "webhook_subscriptions");
+    if (resultsSubscription.success === false) {
+        if (resultsSubscription.error.message === "not found") {
+            return next(notFound(req.params.id));
+        }
+        return next(dbError(resultsSubscription.error.message));
+    }
+
+    const listQuery = parseListQuery(req.query, DELIVERY_LIST_OPTIONS);
+    if (listQuery.success === false) {
+        return next(listError(listQuery));
+    }
+    listQuery.criteria.subscription_id = req.params.id;
+
+    const results = await dbSelectPage({ ...listQuery, selectFields: DELIVERY_FIELDS }, "webhook_deliveries");
+
+    if (results.success) {
+        return res.json({
+            deliveries: results.sqlReturn,
+            total: results.total,
+            limit: listQuery.limit,
+            offset: listQuery.offset,
+            next: nextPageLink(req, listQuery.limit, listQuery.offset, results.total)
+        });
+    } else {
+        return next(dbError(results.error.message));
+    }
+
+});
+
+
+/** POST {/webhooks}/[id]/deliveries/[deliveryId]/retry ; return {delivery: {id, event, status, attempts, ...}} */
+router.post("/:id/deliveries/:deliveryId/retry", validate(DELIVERY_RETRY), async function (req, res, next) {
+    //  route queues a failed delivery again, with a fresh set of attempts, once the
+    //   receiving end is fixed. It is sent on the next poll.
+
+    const criteria = {
+        pk: "id",
+        value: req.params.deliveryId,
+        criteria: { subscription_id: req.params.id, status: "failed" }
+    }
+    const updateData = {
+        argumentsName: ["status", "attempts", "next_attempt_at"],
+        argumentsValues: ["pending", 0, new Date()]
+    }
+    const resultsUpdate = await dbUpdate(criteria, updateData, "webhook_deliveries");
+    if (resultsUpdate.success === false) {
+        if (resultsUpdate.error.message === "not found") {
+            return next(new ExpressError(
+                `A failed delivery was not found for id '${req.params.deliveryId}' of webhook '${req.params.id}'.`,
+                404));
+        }
+        return next(dbError(resultsUpdate.error.message));
+    }
+
+    const results = await dbSelect(
+        { criteria: { id: req.params.deliveryId }, selectFields: DELIVERY_FIELDS }, "webhook_deliveries");
+    if (results.success) {
+        return res.json({ delivery: results.sqlReturn });
+    } else {
+        return next(dbError(results.error.message));
+    }
+
+});
+
+
+module.exports = router;
@@ -0,0 +1,29 @@
+-- Sample data for BizTime. Loading it replaces every row in the tables.
+
+TRUNCATE companies, industries, exchange_rates RESTART IDENTITY CASCADE;
+
+INSERT INTO companies
+  VALUES ('apple', 'Apple Computer', 'Maker of OSX.'),
+         ('ibm', 'IBM', 'Big blue.');
+
+INSERT INTO invoices (comp_Code, amt, paid, paid_date, due_date)
+  VALUES ('apple', 100, false, null, CURRENT_DATE + 30),
+         ('apple', 200, false, null, CURRENT_DATE + 30),
+         ('apple', 300, true, '2018-01-01', CURRENT_DATE + 30),
+         ('ibm', 400, false, null, CURRENT_DATE + 30);
+
+INSERT INTO payments (inv_id, amt, pay_date)
+  VALUES (3, 300, '2018-01-01');
+
+INSERT INTO industries
+  VALUES ('tech', 'Technology'),
+         ('acct', 'Accounting');
+
+INSERT INTO companies_industries (comp_code, ind_code)
+  VALUES ('apple', 'tech'),
+         ('ibm', 'tech'),
+         ('ibm', 'acct');
+
+INSERT INTO exchange_rates (from_currency, to_currency, rate, effective_date)
+  VALUES ('EUR', 'USD', 1.08, '2018-01-01'),
+         ('GBP', 'USD', 1.27, '2018-01-01');
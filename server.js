@@ -2,9 +2,15 @@
 
 
 const { PORT, app } = require("./app");
+const { startJobs } = require("./jobs");
+const { startWebhookDelivery } = require("./webhooks");
 
 
 app.listen(PORT, function () {
   // console.log("Listening on 3000");
   console.log(`${(new Date()).toISOString()}: Server listening on port ${PORT}.`);
+  // late fees and the other background jobs, see jobs.js.
+  startJobs();
+  // sends the webhook deliveries queued by changes, see webhooks.js.
+  startWebhookDelivery();
 });
\ No newline at end of file
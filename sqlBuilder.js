@@ -0,0 +1,355 @@
+/** Safe SQL building for BizTime.
+ *
+ *  Table and column names cannot be sent as query parameters, so every
+ *  identifier that goes into SQL text is checked against SCHEMA and quoted.
+ *  Values always go through $n parameters.
+ *
+ *  A new table or column in a migration needs to be added to SCHEMA (and a new
+ *  table to PRIMARY_KEYS) before the db functions can use it.
+ */
+
+const SCHEMA = {
+    companies: ["code", "name", "description", "deleted_at", "payment_terms_days", "version", "updated_at"],
+    invoices: [
+        "id", "comp_code", "amt", "paid", "add_date", "paid_date", "deleted_at", "currency", "due_date",
+        "recurring_id", "period_date", "version", "updated_at"
+    ],
+    recurring_invoices: [
+        "id", "comp_code", "amt", "currency", "interval_unit", "interval_count", "start_date", "end_date",
+        "next_run_date", "periods_billed"
+    ],
+    invoice_items: [
+        "id", "inv_id", "description", "quantity", "unit_price", "tax_rate", "line_total", "tax_amt"
+    ],
+    payments: ["id", "inv_id", "amt", "pay_date", "voided", "void_date"],
+    exchange_rates: ["id", "from_currency", "to_currency", "rate", "effective_date"],
+    industries: ["code", "industry"],
+    companies_industries: ["comp_code", "ind_code"],
+    api_keys: ["id", "name", "key_hash", "role", "created_at", "revoked_at"],
+    audit_log: [
+        "id", "table_name", "record_pk", "action", "before_data", "after_data", "actor", "changed_at"
+    ],
+    job_runs: [
+        "id", "job_name", "as_of", "status", "started_at", "finished_at", "processed", "result", "error"
+    ],
+    late_fees: ["id", "inv_id", "fee_inv_id", "method", "amt", "currency", "applied_date", "job_run_id"],
+    webhook_subscriptions: ["id", "url", "events", "secret", "active", "created_at"],
+    webhook_deliveries: [
+        "id", "subscription_id", "event", "payload", "status", "attempts", "created_at", "next_attempt_at",
+        "last_attempt_at", "response_status", "last_error", "delivered_at"
+    ]
+};
+
+// the primary key column(s) of each table in SCHEMA.
+const PRIMARY_KEYS = {
+    companies: ["code"],
+    invoices: ["id"],
+    recurring_invoices: ["id"],
+    invoice_items: ["id"],
+    payments: ["id"],
+    exchange_rates: ["id"],
+    industries: ["code"],
+    companies_industries: ["comp_code", "ind_code"],
+    api_keys: ["id"],
+    audit_log: ["id"],
+    job_runs: ["id"],
+    late_fees: ["id"],
+    webhook_subscriptions: ["id"],
+    webhook_deliveries: ["id"]
+};
+
+// comparisons allowed in criteria objects, ie. { amt: { ">=": 100 } }
+const OPERATORS = ["=", "<>", "<", "<=", ">", ">=", "ILIKE"];
+
+
+function quoteIdentifier(name) {
+    // wraps an identifier in double quotes, doubling any quote inside it.
+    return `"${`${name}`.replace(/"/g, '""')}"`;
+}
+
+
+function table(tableName) {
+    /*  table returns the quoted table name. An error is thrown when the table is
+         not in SCHEMA.
+    */
+
+    if (!Object.prototype.hasOwnProperty.call(SCHEMA, tableName)) {
+        throw new Error(`Unknown table '${tableName}'.`);
+    }
+    return quoteIdentifier(tableName);
+
+}
+
+
+function column(tableName, columnName) {
+    /*  column returns the quoted column name. An error is thrown when the column is
+         not a column of the table in SCHEMA.
+    */
+
+    table(tableName);
+    if (!SCHEMA[tableName].includes(columnName)) {
+        throw new Error(`Unknown column '${columnName}' on table '${tableName}'.`);
+    }
+    return quoteIdentifier(columnName);
+
+}
+
+
+function splitFields(fields) {
+    // fields can be an array of names or a comma separated string, ie. "id, amt".
+    return (Array.isArray(fields) ? fields : `${fields}`.split(","))
+        .map(field => `${field}`.trim())
+        .filter(field => field !== "");
+}
+
+
+function fieldNames(tableName, fields) {
+    /*  fieldNames returns the checked column names in fields as an array. "*"
+         returns every column in SCHEMA for the table.
+    */
+
+    const names = splitFields(fields);
+    if (names.length === 1 && names[0] === "*") {
+        table(tableName);
+        return [...SCHEMA[tableName]];
+    }
+    if (names.length === 0) {
+        throw new Error(`No columns given for table '${tableName}'.`);
+    }
+    names.forEach(name => column(tableName, name));
+    return names;
+
+}
+
+
+function columnList(tableName, fields) {
+    // returns the quoted, comma separated column list for fields (see fieldNames).
+    return fieldNames(tableName, fields).map(quoteIdentifier).join(", ");
+}
+
+
+function primaryKey(tableName) {
+    // returns the primary key column(s) of the table as an array.
+    table(tableName);
+    return PRIMARY_KEYS[tableName];
+}
+
+
+function where(tableName, criteria, values = []) {
+    /*  where composes a parameterized WHERE clause from a criteria object. The
+         conditions are ANDed together.
+
+        criteria, object, column name keys and what the column has to match
+            { code: "apple" }               "code" = $1
+            { paid_date: null }             "paid_date" IS NULL
+            { paid_date: { "<>": null } }   "paid_date" IS NOT NULL
+            { id: [1, 2, 3] }               "id" = ANY($1)
+            { amt: { ">=": 10, "<": 99 } }  "amt" >= $1 AND "amt" < $2
+            { name: { ILIKE: "%a\\_b%" } }  "name" ILIKE $1 ESCAPE '\' -- \ escapes % and _
+        values, array, the values already used by the statement. The parameters for
+            the criteria are numbered after them and their values are pushed on.
+
+        Returns:
+            {
+                text: 'WHERE "code" = $1',  // "" when criteria is empty
+                values: [values for $1 ... $n]
+            }
+    */
+
+    const conditions = [];
+
+    for (const [columnName, match] of Object.entries(criteria || {})) {
+        const quoted = column(tableName, columnName);
+
+        if (match === null) {
+            conditions.push(`${quoted} IS NULL`);
+        } else if (Array.isArray(match)) {
+            values.push(match);
+            conditions.push(`${quoted} = ANY($${values.length})`);
+        } else if (typeof match === "object" && !(match instanceof Date)) {
+            for (const [op, value] of Object.entries(match)) {
+                if (!OPERATORS.includes(op)) {
+                    throw new Error(`Unknown operator '${op}' for column '${columnName}'.`);
+                }
+                if (value === null && (op === "=" || op === "<>")) {
+                    conditions.push(`${quoted} ${op === "=" ? "IS NULL" : "IS NOT NULL"}`);
+                    continue;
+                }
+                values.push(value);
+                conditions.push((op === "ILIKE")
+                    ? `${quoted} ILIKE $${values.length} ESCAPE '\\'`
+                    : `${quoted} ${op} $${values.length}`);
+            }
+        } else {
+            values.push(match);
+            conditions.push(`${quoted} = $${values.length}`);
+        }
+    }
+
+    return {
+        text: (conditions.length > 0) ? `WHERE ${conditions.join(" AND ")}` : "",
+        values: values
+    };
+
+}
+
+
+function orderBy(tableName, sort) {
+    /*  orderBy returns the ORDER BY clause for sort, ie. "amt DESC, id". Only ASC
+         and DESC may follow a column name. "" is returned when sort is empty.
+    */
+
+    const terms = splitFields(sort || "").map(term => {
+        const [columnName, direction = "ASC", ...extra] = term.split(/\s+/);
+        if (extra.length > 0 || !["ASC", "DESC"].includes(direction.toUpperCase())) {
+            throw new Error(`Invalid sort '${term}'.`);
+        }
+        return `${column(tableName, columnName)} ${direction.toUpperCase()}`;
+    });
+
+    return (terms.length > 0) ? `ORDER BY ${terms.join(", ")}` : "";
+
+}
+
+
+function select(tableName, fields, criteria, options = {}) {
+    /*  select builds a SELECT statement.
+
+        options, object, optional
+        - orderBy, string, see orderBy.
+        - limit, number, the most rows to return.
+        - offset, number, the number of rows to skip.
+        - forUpdate, boolean, lock the rows for the rest of the transaction.
+
+        Returns: { text: sql, values: [parameter values] }
+    */
+
+    const whereClause = where(tableName, criteria);
+    const values = whereClause.values;
+    let text = `SELECT ${columnList(tableName, fields)} FROM ${table(tableName)} ${whereClause.text}`;
+
+    if (options.orderBy) {
+        text = `${text} ${orderBy(tableName, options.orderBy)}`;
+    }
+    if (options.limit !== undefined) {
+        values.push(options.limit);
+        text = `${text} LIMIT $${values.length}`;
+    }
+    if (options.offset !== undefined) {
+        values.push(options.offset);
+        text = `${text} OFFSET $${values.length}`;
+    }
+    if (options.forUpdate) {
+        text = `${text} FOR UPDATE`;
+    }
+
+    return { text: text, values: values };
+
+}
+
+
+function count(tableName, criteria) {
+    // builds a SELECT COUNT(*) AS total statement. Returns: { text: sql, values }
+
+    const whereClause = where(tableName, criteria);
+    return {
+        text: `SELECT COUNT(*) AS total FROM ${table(tableName)} ${whereClause.text}`,
+        values: whereClause.values
+    };
+
+}
+
+
+function insert(tableName, data, returnFields = "*") {
+    /*  insert builds an INSERT of one row.
+
+        data, object, column name keys and the values to insert.
+
+        Returns: { text: sql, values: [parameter values] }
+    */
+
+    const names = Object.keys(data);
+    const values = Object.values(data);
+    const placeholders = values.map((value, idx) => `$${idx + 1}`);
+
+    return {
+        text: `INSERT INTO ${table(tableName)} (${columnList(tableName, names)}) `
+            + `VALUES (${placeholders.join(", ")}) `
+            + `RETURNING ${columnList(tableName, returnFields)}`,
+        values: values
+    };
+
+}
+
+
+function update(tableName, data, criteria, returnFields = "*") {
+    /*  update builds an UPDATE of the rows that match criteria.
+
+        data, object, column name keys and the new values.
+        criteria, object, see where. An UPDATE without criteria is refused.
+
+        Returns: { text: sql, values: [parameter values] }
+    */
+
+    if (Object.keys(criteria || {}).length === 0) {
+        throw new Error(`UPDATE of '${tableName}' needs criteria.`);
+    }
+
+    const values = [];
+    const setClause = Object.entries(data).map(([columnName, value]) => {
+        values.push(value);
+        return `${column(tableName, columnName)} = $${values.length}`;
+    });
+    if (setClause.length === 0) {
+        throw new Error(`UPDATE of '${tableName}' has no columns to set.`);
+    }
+
+    const whereClause = where(tableName, criteria, values);
+
+    return {
+        text: `UPDATE ${table(tableName)} SET ${setClause.join(", ")} ${whereClause.text} `
+            + `RETURNING ${columnList(tableName, returnFields)}`,
+        values: whereClause.values
+    };
+
+}
+
+
+function remove(tableName, criteria, returnFields = "*") {
+    /*  remove builds a DELETE of the rows that match criteria.
+
+        criteria, object, see where. A DELETE without criteria is refused.
+
+        Returns: { text: sql, values: [parameter values] }
+    */
+
+    if (Object.keys(criteria || {}).length === 0) {
+        throw new Error(`DELETE from '${tableName}' needs criteria.`);
+    }
+
+    const whereClause = where(tableName, criteria);
+
+    return {
+        text: `DELETE FROM ${table(tableName)} ${whereClause.text} `
+            + `RETURNING ${columnList(tableName, returnFields)}`,
+        values: whereClause.values
+    };
+
+}
+
+
+module.exports = {
+    SCHEMA: SCHEMA
+    , table: table
+    , column: column
+    , fieldNames: fieldNames
+    , columnList: columnList
+    , primaryKey: primaryKey
+    , where: where
+    , orderBy: orderBy
+    , select: select
+    , count: count
+    , insert: insert
+    , update: update
+    , remove: remove
+}
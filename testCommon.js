@@ -0,0 +1,53 @@
+/** Shared setup of the BizTime tests.
+ *
+ *  The tests run against biztime_test -- jest sets NODE_ENV=test, see db.js.
+ *  Create it once and migrate it with `NODE_ENV=test npm run migrate up`. Every
+ *  test starts from empty tables (resetDb).
+ */
+
+const db = require("./db");
+const { issueKey } = require("./auth");
+
+// the tables emptied between tests; the rest go with them by CASCADE.
+const TEST_TABLES = [
+    "companies", "industries", "exchange_rates", "api_keys", "audit_log", "job_runs", "webhook_subscriptions"
+];
+
+
+async function resetDb() {
+    // empties the tables and restarts their ids at 1.
+    await db.query(`TRUNCATE ${TEST_TABLES.join(", ")} RESTART IDENTITY CASCADE`);
+}
+
+
+async function addCompany(code) {
+    // adds the company code, with payment terms of 30 days.
+    await db.query(`INSERT INTO companies (code, name) VALUES ($1, $2)`, [code, `Company ${code}`]);
+}
+
+
+async function adminKey() {
+    // returns a new admin api key, for the X-API-Key header.
+
+    const results = await issueKey("test", "admin");
+    if (results.success === false) {
+        throw results.error.message;
+    }
+    return results.sqlReturn.key;
+
+}
+
+
+async function dateOf(table, column, id) {
+    // returns the date column of row id as YYYY-MM-DD, or null -- free of the time zone of the test.
+    const result = await db.query(`SELECT ${column}::text AS value FROM ${table} WHERE id = $1`, [id]);
+    return result.rows[0].value;
+}
+
+
+module.exports = {
+    resetDb: resetDb
+    , addCompany: addCompany
+    , adminKey: adminKey
+    , dateOf: dateOf
+}
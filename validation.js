@@ -0,0 +1,353 @@
+/** Declarative request validation for BizTime.
+ *
+ *  A route declares what it accepts as a schema and puts validate(schema) in
+ *  front of its handler:
+ *
+ *      router.put("/:id", validate(INVOICE_UPDATE), async function (req, res, next) { ... })
+ *
+ *  Every section of the request is checked before the handler runs. When any
+ *  field is invalid the request ends with a 400 that lists every invalid field;
+ *  otherwise the handler gets the converted values (ie. "3" -> 3 for an integer
+ *  id) and only the fields the schema names.
+ */
+
+const ExpressError = require("./expressError");
+
+// the sections of the request a schema can check.
+const SECTIONS = ["params", "query", "body"];
+
+// company and industry codes: lower case letters, digits, '-' and '_'.
+const CODE_PATTERN = /^[a-z0-9_-]+$/;
+
+// ISO 4217 currency codes, ie. USD.
+const CURRENCY_PATTERN = /^[A-Z]{3}$/;
+
+
+function isIsoDate(value) {
+    // true for a real calendar date formatted YYYY-MM-DD.
+    return typeof value === "string"
+        && /^\d{4}-\d{2}-\d{2}$/.test(value)
+        && !isNaN(Date.parse(value))
+        && new Date(value).toISOString().slice(0, 10) === value;
+}
+
+
+function convertValue(value, type) {
+    /*  convertValue checks value against type and converts it. Values from the url
+         are always strings, so numeric and boolean strings are accepted.
+
+        Returns:
+            { valid: true, value: converted value }
+        OR
+            { valid: false, message: why the value is not valid }
+    */
+
+    switch (type) {
+        case "string":
+            if (typeof value === "string") {
+                return { valid: true, value: value };
+            }
+            return { valid: false, message: "must be text" };
+
+        case "integer": {
+            const nbr = (typeof value === "string" && /^-?\d+$/.test(value)) ? Number(value) : value;
+            if (Number.isSafeInteger(nbr)) {
+                return { valid: true, value: nbr };
+            }
+            return { valid: false, message: "must be a whole number" };
+        }
+
+        case "number": {
+            const nbr = (typeof value === "string" && value.trim() !== "") ? Number(value) : value;
+            if (typeof nbr === "number" && Number.isFinite(nbr)) {
+                return { valid: true, value: nbr };
+            }
+            return { valid: false, message: "must be a number" };
+        }
+
+        case "boolean":
+            if (value === true || value === "true") {
+                return { valid: true, value: true };
+            }
+            if (value === false || value === "false") {
+                return { valid: true, value: false };
+            }
+            return { valid: false, message: "must be true or false" };
+
+        case "date":
+            if (isIsoDate(value)) {
+                return { valid: true, value: value };
+            }
+            return { valid: false, message: "must be a date formatted YYYY-MM-DD" };
+
+        case "array":
+            if (Array.isArray(value)) {
+                return { valid: true, value: value };
+            }
+            return { valid: false, message: "must be an array" };
+
+        default:
+            throw new Error(`Unknown validation type '${type}'.`);
+    }
+
+}
+
+
+function checkField(value, rule) {
+    /*  checkField validates one value against its rule.
+
+        rule, object
+        - type, string, 'string', 'integer', 'number', 'boolean', 'date' or 'array'.
+        - required, boolean, the field has to be present and not blank.
+        - nullable, boolean, null is accepted (ie. to clear paid_date).
+        - minLength, maxLength, number, length limits for strings.
+        - pattern, RegExp, strings have to match. patternMessage explains it.
+        - min, max, number, inclusive limits for numbers.
+        - greaterThan, number, exclusive lower limit for numbers, ie. amt > 0.
+        - maxDecimals, number, the most decimal places a number can have, ie. 2
+            for an amount of money.
+        - oneOf, array, the only values allowed.
+        - minItems, maxItems, number, length limits for arrays.
+        - items, object, the fields of each object in an array and the rule for
+            each field, as for a section of the request.
+        - each, object, the rule every value in an array of plain values meets.
+
+        Returns:
+            { valid: true, value: converted value }
+        OR
+            { valid: false, message: why the value is not valid }
+            errors is added, [{field, message}, ...], for invalid fields of the
+            objects in an array; field is relative to the array, ie. '[0].quantity'.
+    */
+
+    if (value === null) {
+        return rule.nullable
+            ? { valid: true, value: null }
+            : { valid: false, message: "cannot be null" };
+    }
+
+    const converted = convertValue(value, rule.type);
+    if (converted.valid === false) {
+        return converted;
+    }
+    const checked = converted.value;
+
+    if (rule.type === "string") {
+        if (rule.required && checked.trim() === "") {
+            return { valid: false, message: "cannot be blank" };
+        }
+        if (rule.minLength !== undefined && checked.length < rule.minLength) {
+            return { valid: false, message: `must be at least ${rule.minLength} characters` };
+        }
+        if (rule.maxLength !== undefined && checked.length > rule.maxLength) {
+            return { valid: false, message: `must be at most ${rule.maxLength} characters` };
+        }
+        if (rule.pattern !== undefined && !rule.pattern.test(checked)) {
+            return { valid: false, message: rule.patternMessage || `must match ${rule.pattern}` };
+        }
+    }
+
+    if (rule.type === "integer" || rule.type === "number") {
+        if (rule.min !== undefined && checked < rule.min) {
+            return { valid: false, message: `must be ${rule.min} or more` };
+        }
+        if (rule.greaterThan !== undefined && checked <= rule.greaterThan) {
+            return { valid: false, message: `must be greater than ${rule.greaterThan}` };
+        }
+        if (rule.max !== undefined && checked > rule.max) {
+            return { valid: false, message: `must be ${rule.max} or less` };
+        }
+        if (rule.maxDecimals !== undefined) {
+            const scaled = checked * (10 ** rule.maxDecimals);
+            if (Math.abs(scaled - Math.round(scaled)) > 1e-6) {
+                return { valid: false, message: `must have at most ${rule.maxDecimals} decimal places` };
+            }
+        }
+    }
+
+    if (rule.type === "array") {
+        return checkArray(checked, rule);
+    }
+
+    if (rule.oneOf !== undefined && !rule.oneOf.includes(checked)) {
+        return { valid: false, message: `must be one of ${rule.oneOf.join(", ")}` };
+    }
+
+    return { valid: true, value: checked };
+
+}
+
+
+function checkArray(value, rule) {
+    // checks an array and the objects in it -- see checkField.
+
+    if (rule.minItems !== undefined && value.length < rule.minItems) {
+        return { valid: false, message: `must have at least ${rule.minItems} items` };
+    }
+    if (rule.maxItems !== undefined && value.length > rule.maxItems) {
+        return { valid: false, message: `must have at most ${rule.maxItems} items` };
+    }
+    if (rule.each !== undefined) {
+        const values = [];
+        const errors = [];
+        value.forEach((item, idx) => {
+            const checked = checkField(item, rule.each);
+            if (checked.valid) {
+                values.push(checked.value);
+            } else {
+                errors.push({ field: `[${idx}]`, message: checked.message });
+            }
+        });
+        return (errors.length > 0)
+            ? { valid: false, message: "has invalid items", errors: errors }
+            : { valid: true, value: values };
+    }
+    if (rule.items === undefined) {
+        return { valid: true, value: value };
+    }
+
+    const values = [];
+    const errors = [];
+    value.forEach((item, idx) => {
+        if (item === null || typeof item !== "object" || Array.isArray(item)) {
+            errors.push({ field: `[${idx}]`, message: "must be an object" });
+            return;
+        }
+        const results = checkSection(item, rule.items, "");
+        values.push(results.values);
+        errors.push(...results.errors.map(error => ({ field: `[${idx}].${error.field}`, message: error.message })));
+    });
+
+    if (errors.length > 0) {
+        return { valid: false, message: "has invalid items", errors: errors };
+    }
+    return { valid: true, value: values };
+
+}
+
+
+function checkSection(data, fields, location) {
+    /*  checkSection validates every field the schema names for one section of the
+         request. Fields the schema does not name are dropped.
+
+        Returns:
+            { values: {field: converted value, ...}, errors: [{field, location, message}, ...] }
+    */
+
+    const values = {};
+    const errors = [];
+
+    for (const [field, rule] of Object.entries(fields)) {
+        const value = (data || {})[field];
+
+        if (value === undefined) {
+            if (rule.required) {
+                errors.push({ field: field, location: location, message: "is required" });
+            }
+            continue;
+        }
+
+        const checked = checkField(value, rule);
+        if (checked.valid) {
+            values[field] = checked.value;
+        } else if (checked.errors !== undefined) {
+            errors.push(...checked.errors.map(error =>
+                ({ field: `${field}${error.field}`, location: location, message: error.message })));
+        } else {
+            errors.push({ field: field, location: location, message: checked.message });
+        }
+    }
+
+    return { values: values, errors: errors };
+
+}
+
+
+function validate(schema) {
+    /*  validate returns Express middleware that checks the request against schema.
+
+        schema, object
+        - params, query, body, object, optional, the fields of that section of the
+            request and the rule for each field (see checkField).
+        - minBodyFields, number, optional, the fewest body fields the request must
+            send, ie. 1 for an update where every field is optional.
+
+        A 400 ExpressError is passed on when anything is invalid. Its errors
+         property lists every invalid field as {field, location, message}.
+    */
+
+    return function (req, res, next) {
+
+        const errors = [];
+        const checked = {};
+
+        for (const location of SECTIONS) {
+            if (schema[location] === undefined) {
+                continue;
+            }
+            const results = checkSection(req[location], schema[location], location);
+            checked[location] = results.values;
+            errors.push(...results.errors);
+        }
+
+        if (schema.minBodyFields !== undefined
+            && Object.keys(checked.body || {}).length < schema.minBodyFields
+            && !errors.some(error => error.location === "body")) {
+            errors.push({
+                field: Object.keys(schema.body || {}).join(", "),
+                location: "body",
+                message: `at least ${schema.minBodyFields} of these fields is required`
+            });
+        }
+
+        if (errors.length > 0) {
+            const errorValidation = new ExpressError(
+                `Invalid request: ${errors.map(error => `${error.field} ${error.message}`).join("; ")}.`,
+                400);
+            errorValidation.errors = errors;
+            return next(errorValidation);
+        }
+
+        // handlers see only the checked, converted values. req.query is a getter
+        //  in some Express versions, so it is replaced field by field.
+        for (const [location, values] of Object.entries(checked)) {
+            if (location === "query") {
+                Object.assign(req.query, values);
+            } else {
+                req[location] = Object.assign(location === "params" ? req.params : {}, values);
+            }
+        }
+
+        return next();
+
+    }
+
+}
+
+
+function argumentsFrom(keys, data) {
+    /*  argumentsFrom builds the argumentsName / argumentsValues pair that dbInsert
+         and dbUpdate take from the keys present in validated data. The order of the
+         names matches the order of keys.
+
+        Returns:
+            { argumentsName: [field, ...], argumentsValues: [value, ...] }
+    */
+
+    const present = keys.filter(key => data[key] !== undefined);
+
+    return {
+        argumentsName: present,
+        argumentsValues: present.map(key => data[key])
+    };
+
+}
+
+
+module.exports = {
+    CODE_PATTERN: CODE_PATTERN
+    , CURRENCY_PATTERN: CURRENCY_PATTERN
+    , checkSection: checkSection
+    , validate: validate
+    , argumentsFrom: argumentsFrom
+}
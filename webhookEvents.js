@@ -0,0 +1,102 @@
+/** Webhook events for BizTime.
+ *
+ *  Events come from the writes the db functions make (see dbFunctions.js), the
+ *  same way the audit log does, so a change raises its event whichever route or
+ *  job made it -- and the event commits or rolls back with the change.
+ *
+ *      company.created, company.updated, company.deleted, company.restored
+ *      invoice.created, invoice.updated, invoice.paid, invoice.deleted,
+ *      invoice.restored
+ *
+ *  deleted is the soft delete (deleted_at is set); a purge raises no event.
+ *  invoice.paid is raised along with invoice.updated when paid turns true.
+ *
+ *  An event is queued as a webhook_deliveries row for every active subscription
+ *  to it. webhooks.js sends them.
+ */
+
+const sql = require("./sqlBuilder");
+
+// the entity of each table with events, as named in the event and its data.
+const EVENT_TABLES = {
+    companies: "company",
+    invoices: "invoice"
+};
+
+const WEBHOOK_EVENTS = [
+    "company.created", "company.updated", "company.deleted", "company.restored",
+    "invoice.created", "invoice.updated", "invoice.paid", "invoice.deleted", "invoice.restored"
+];
+
+
+function rowEvents(entity, action, before, after) {
+    /*  rowEvents returns the events, [{event, data}, ...], of one changed row.
+
+        before, object, the row before the change, undefined for an insert.
+        after, object, the row after the change, undefined for a delete.
+    */
+
+    if (action === "insert") {
+        return [{ event: `${entity}.created`, data: { [entity]: after } }];
+    }
+    if (action === "delete") {
+        // a purge removes a row that was already deleted.
+        return (before.deleted_at === null)
+            ? [{ event: `${entity}.deleted`, data: { [entity]: before } }]
+            : [];
+    }
+
+    if (before.deleted_at === null && after.deleted_at !== null) {
+        return [{ event: `${entity}.deleted`, data: { [entity]: after } }];
+    }
+    if (before.deleted_at !== null && after.deleted_at === null) {
+        return [{ event: `${entity}.restored`, data: { [entity]: after } }];
+    }
+
+    const events = [{ event: `${entity}.updated`, data: { [entity]: after, previous: before } }];
+    if (entity === "invoice" && before.paid === false && after.paid === true) {
+        events.push({ event: "invoice.paid", data: { invoice: after } });
+    }
+    return events;
+
+}
+
+
+async function queueEvents(client, table, action, beforeRows, afterRows, keyChanges = {}) {
+    /*  queueEvents queues the events of a write for delivery. Arguments are the
+         same as writeAudit in dbFunctions.js; before and after versions of a row
+         are paired by primary key.
+    */
+
+    const entity = EVENT_TABLES[table];
+    if (entity === undefined) {
+        return;
+    }
+
+    const pkFields = sql.primaryKey(table);
+    const recordPk = row => pkFields.map(field => row[field]).join(",");
+    const afterByPk = new Map(afterRows.map(row => [recordPk(row), row]));
+
+    const events = [];
+    if (action === "insert") {
+        afterRows.forEach(row => events.push(...rowEvents(entity, action, undefined, row)));
+    } else {
+        beforeRows.forEach(row => events.push(
+            ...rowEvents(entity, action, row, afterByPk.get(recordPk({ ...row, ...keyChanges })))));
+    }
+
+    for (const { event, data } of events) {
+        await client.query(`
+            INSERT INTO webhook_deliveries (subscription_id, event, payload)
+            SELECT id, $1, $2 FROM webhook_subscriptions
+            WHERE active = true AND $1 = ANY(events)
+        `, [event, JSON.stringify(data)]);
+    }
+
+}
+
+
+module.exports = {
+    WEBHOOK_EVENTS: WEBHOOK_EVENTS
+    , queueEvents: queueEvents
+}
@@ -0,0 +1,215 @@
+/** Webhook delivery for BizTime.
+ *
+ *  server.js starts a loop with startWebhookDelivery that sends the pending
+ *  webhook_deliveries (queued by webhookEvents.js) every WEBHOOK_POLL_SECONDS.
+ *  The queue is in the database, so deliveries survive a restart, and several
+ *  server processes can share it -- each claims its batch with SKIP LOCKED.
+ *
+ *  A delivery is a POST of the JSON body
+ *      {id: delivery id, event, created_at, data}
+ *  with the headers
+ *      X-BizTime-Event         the event, ie. invoice.paid
+ *      X-BizTime-Delivery      the delivery id -- the same on every retry
+ *      X-BizTime-Signature     t=<unix seconds>,v1=<HMAC-SHA256 hex of "<t>.<body>"
+ *                               keyed with the subscription secret>
+ *  Any 2xx response is delivered. Anything else is retried after 30 seconds,
+ *  doubling each attempt up to 6 hours, until WEBHOOK_MAX_ATTEMPTS have failed.
+ */
+
+const crypto = require("crypto");
+const db = require("./db");
+const { WEBHOOK_MAX_ATTEMPTS, WEBHOOK_POLL_SECONDS } = require("./config");
+const { dbUpdate } = require("./dbFunctions");
+
+const BATCH_SIZE = 20;
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+const FIRST_RETRY_MS = 30 * 1000;
+const MAX_RETRY_MS = 6 * 60 * 60 * 1000;
+
+// a claimed delivery is not claimed again before this, should the process stop mid-send.
+const CLAIM_MINUTES = 5;
+
+// the most response text kept in last_error.
+const MAX_ERROR_LENGTH = 500;
+
+
+function signature(secret, body, timestamp) {
+    // returns the X-BizTime-Signature header value for body sent at timestamp (unix seconds).
+    const hmac = crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+    return `t=${timestamp},v1=${hmac}`;
+}
+
+
+function retryDelay(attempts) {
+    // returns the milliseconds to wait after the attempts-th failed attempt.
+    return Math.min(FIRST_RETRY_MS * (2 ** (attempts - 1)), MAX_RETRY_MS);
+}
+
+
+async function claimDueDeliveries() {
+    /*  claimDueDeliveries takes the next batch of pending deliveries that are due,
+         for active subscriptions, by pushing their next_attempt_at out.
+
+        Returns [{id, event, payload, attempts, created_at, url, secret}, ...].
+    */
+
+    const result = await db.query(`
+        UPDATE webhook_deliveries AS d
+        SET next_attempt_at = CURRENT_TIMESTAMP + make_interval(mins => $2)
+        FROM (
+            SELECT d2.id
+            FROM webhook_deliveries AS d2
+                JOIN webhook_subscriptions AS s2 ON s2.id = d2.subscription_id AND s2.active = true
+            WHERE d2.status = 'pending' AND d2.next_attempt_at <= CURRENT_TIMESTAMP
+            ORDER BY d2.next_attempt_at, d2.id
+            LIMIT $1
+            FOR UPDATE OF d2 SKIP LOCKED
+        ) AS due, webhook_subscriptions AS s
+        WHERE d.id = due.id AND s.id = d.subscription_id
+        RETURNING d.id, d.event, d.payload, d.attempts, d.created_at, s.url, s.secret
+    `, [BATCH_SIZE, CLAIM_MINUTES]);
+    return result.rows;
+
+}
+
+
+async function send(delivery) {
+    /*  send posts one delivery.
+
+        Returns { delivered: true/false, responseStatus: http status or null,
+         error: why it was not delivered or null }
+    */
+
+    const body = JSON.stringify({
+        id: delivery.id,
+        event: delivery.event,
+        created_at: delivery.created_at,
+        data: delivery.payload
+    });
+    const timestamp = Math.floor(Date.now() / 1000);
+
+    try {
+        const response = await fetch(delivery.url, {
+            method: "POST",
+            headers: {
+                "Content-Type": "application/json",
+                "User-Agent": "BizTime-Webhooks",
+                "X-BizTime-Event": delivery.event,
+                "X-BizTime-Delivery": `${delivery.id}`,
+                "X-BizTime-Signature": signature(delivery.secret, body, timestamp)
+            },
+            body: body,
+            redirect: "manual",
+            signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+        });
+        if (response.ok) {
+            return { delivered: true, responseStatus: response.status, error: null };
+        }
+        const text = await response.text().catch(() => "");
+        return {
+            delivered: false,
+            responseStatus: response.status,
+            error: `HTTP ${response.status}: ${text}`.slice(0, MAX_ERROR_LENGTH)
+        };
+    } catch (err) {
+        const reason = (err.cause && err.cause.message) || err.message || `${err}`;
+        return { delivered: false, responseStatus: null, error: `${reason}`.slice(0, MAX_ERROR_LENGTH) };
+    }
+
+}
+
+
+async function attemptDelivery(delivery) {
+    // sends a claimed delivery and records the attempt -- delivered, retried later or failed.
+
+    const outcome = await send(delivery);
+    const attempts = delivery.attempts + 1;
+    const now = new Date();
+
+    let status = "pending";
+    let nextAttemptAt = new Date(now.getTime() + retryDelay(attempts));
+    if (outcome.delivered) {
+        status = "delivered";
+        nextAttemptAt = now;
+    } else if (attempts >= WEBHOOK_MAX_ATTEMPTS) {
+        status = "failed";
+        nextAttemptAt = now;
+    }
+
+    return dbUpdate({ pk: "id", value: delivery.id }, {
+        argumentsName: [
+            "status", "attempts", "last_attempt_at", "next_attempt_at", "response_status", "last_error",
+            "delivered_at"
+        ],
+        argumentsValues: [
+            status, attempts, now, nextAttemptAt, outcome.responseStatus, outcome.error,
+            outcome.delivered ? now : null
+        ]
+    }, "webhook_deliveries");
+
+}
+
+
+async function deliverDue() {
+    /*  deliverDue sends every delivery that is due, a batch at a time.
+
+        Returns the number of deliveries attempted.
+    */
+
+    let attempted = 0;
+    for (; ;) {
+        const deliveries = await claimDueDeliveries();
+        if (deliveries.length === 0) {
+            return attempted;
+        }
+        const results = await Promise.all(deliveries.map(attemptDelivery));
+        results.filter(result => result.success === false).forEach(result => {
+            console.error(`${(new Date()).toISOString()}: webhook delivery not recorded: ${result.error.message}`);
+        });
+        attempted += deliveries.length;
+    }
+
+}
+
+
+function startWebhookDelivery(pollSeconds = WEBHOOK_POLL_SECONDS) {
+    /*  startWebhookDelivery sends due deliveries now and then every pollSeconds.
+         0 does not start it.
+
+        Returns a function that stops it.
+    */
+
+    if (pollSeconds <= 0) {
+        return () => { };
+    }
+
+    let sending = false;
+    async function poll() {
+        // a slow batch is not overlapped by the next poll.
+        if (sending) {
+            return;
+        }
+        sending = true;
+        try {
+            await deliverDue();
+        } catch (err) {
+            console.error(`${(new Date()).toISOString()}: webhook delivery error: ${err.message || err}`);
+        } finally {
+            sending = false;
+        }
+    }
+
+    poll();
+    const timer = setInterval(poll, pollSeconds * 1000);
+    // the timer alone should not keep the process alive.
+    timer.unref();
+    return () => clearInterval(timer);
+
+}
+
+
+module.exports = {
+    signature: signature
+    , deliverDue: deliverDue
+    , startWebhookDelivery: startWebhookDelivery
+}